@@ -0,0 +1,92 @@
+// services/pushService.js
+// Push notifications through Amazon SNS mobile push. Each device's token is
+// registered once as an SNS platform endpoint; APNs and FCM do the delivery.
+import AWS from 'aws-sdk';
+import Device from '../models/Device.js';
+
+export class PushService {
+  constructor() {
+    this.sns = new AWS.SNS({
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      region: process.env.AWS_REGION
+    });
+
+    // Platforms without a configured SNS application are skipped
+    this.platformApplications = {
+      ios: process.env.SNS_APNS_APPLICATION_ARN,
+      android: process.env.SNS_FCM_APPLICATION_ARN
+    };
+  }
+
+  // Send to every device of the user that has a push token.
+  // Failures are logged per device (never with the token or the message text).
+  async sendToUser(userId, { title, body, data = {} }) {
+    const devices = await Device.find({
+      user: userId,
+      pushToken: { $exists: true, $ne: null }
+    }).select('platform pushToken pushEndpointArn');
+
+    const message = this.buildMessage({ title, body, data });
+
+    await Promise.all(devices.map(async device => {
+      try {
+        const endpointArn = await this.getEndpoint(device);
+        if (!endpointArn) return;
+
+        await this.sns.publish({
+          TargetArn: endpointArn,
+          MessageStructure: 'json',
+          Message: message
+        }).promise();
+      } catch (error) {
+        await this.handleFailure(device, error);
+      }
+    }));
+  }
+
+  async getEndpoint(device) {
+    if (device.pushEndpointArn) return device.pushEndpointArn;
+
+    const applicationArn = this.platformApplications[device.platform];
+    if (!applicationArn) return null;
+
+    const { EndpointArn } = await this.sns.createPlatformEndpoint({
+      PlatformApplicationArn: applicationArn,
+      Token: device.pushToken
+    }).promise();
+
+    await Device.updateOne({ _id: device._id }, { pushEndpointArn: EndpointArn });
+    return EndpointArn;
+  }
+
+  // One JSON message with a payload per transport
+  buildMessage({ title, body, data }) {
+    const apns = JSON.stringify({ aps: { alert: { title, body }, sound: 'default' }, ...data });
+
+    return JSON.stringify({
+      default: body,
+      APNS: apns,
+      APNS_SANDBOX: apns,
+      GCM: JSON.stringify({
+        notification: { title, body },
+        data: Object.fromEntries(Object.entries(data).map(([key, value]) => [key, String(value)]))
+      })
+    });
+  }
+
+  async handleFailure(device, error) {
+    // The app was uninstalled or the token rotated; stop pushing to it
+    if (error.code === 'EndpointDisabled') {
+      await Device.updateOne({ _id: device._id }, { $unset: { pushToken: 1, pushEndpointArn: 1 } });
+      return;
+    }
+    // The endpoint was deleted on the SNS side; it's recreated on the next push
+    if (error.code === 'NotFound') {
+      await Device.updateOne({ _id: device._id }, { $unset: { pushEndpointArn: 1 } });
+      return;
+    }
+
+    console.error('Push delivery failed for device', device._id.toString(), error.code || error.message);
+  }
+}
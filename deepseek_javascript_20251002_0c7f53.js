@@ -0,0 +1,31 @@
+// workers/pollCloseWorker.js
+import { PollService } from '../services/pollService.js';
+
+export class PollCloseWorker {
+  constructor() {
+    this.pollService = new PollService();
+    this.isRunning = false;
+  }
+
+  async run() {
+    // Skip the tick if the previous one is still closing polls
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const closed = await this.pollService.closeExpiredPolls();
+
+      if (closed.length > 0) {
+        console.log(`Closed ${closed.length} expired polls`);
+      }
+    } catch (error) {
+      console.error('Poll close worker error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Initialize and check for expired polls every minute
+const pollCloseWorker = new PollCloseWorker();
+setInterval(() => pollCloseWorker.run(), 60000);
\ No newline at end of file
@@ -1,11 +1,17 @@
 // routes/shares.js
 import express from 'express';
+import mongoose from 'mongoose';
 import { authMiddleware } from '../middleware/auth.js';
 import Share from '../models/Share.js';
 import Post from '../models/Post.js';
 import Notification from '../models/Notification.js';
+import Relationship from '../models/Relationship.js';
+import { FeedService } from '../services/feedService.js';
+import { BlockService } from '../services/blockService.js';
 
 const router = express.Router();
+const feedService = new FeedService();
+const blockService = new BlockService();
 
 // Share content
 router.post('/:contentType/:contentId', authMiddleware, async (req, res) => {
@@ -24,6 +30,10 @@ router.post('/:contentType/:contentId', authMiddleware, async (req, res) => {
       return res.status(403).json({ message: 'Cannot share this content' });
     }
 
+    if (targetUser && await blockService.isBlocked(req.user.id, targetUser)) {
+      return res.status(403).json({ message: 'Cannot share with this user' });
+    }
+
     // Create share record
     const share = new Share({
       originalContentType: contentType,
@@ -171,11 +181,17 @@ router.post('/:contentType/:contentId/forward', authMiddleware, async (req, res)
       return res.status(404).json({ message: 'Content not found' });
     }
 
+    if (!await canShareContent(originalContent, req.user.id)) {
+      return res.status(403).json({ message: 'Cannot share this content' });
+    }
+
     const shares = [];
 
-    // Forward to individual users
+    // Forward to individual users; anyone blocked either way is skipped
     if (targetUsers && targetUsers.length > 0) {
-      for (const targetUserId of targetUsers) {
+      const allowedUsers = await blockService.filterBlocked(req.user.id, targetUsers);
+
+      for (const targetUserId of allowedUsers) {
         const share = new Share({
           originalContentType: contentType,
           originalContentId: contentId,
@@ -233,6 +249,21 @@ async function validateContent(contentType, contentId) {
 }
 
 async function canShareContent(content, userId) {
+  // Posts follow the same rules as the feed (drafts, blocks, restricted followers)
+  if (content instanceof Post) {
+    return await feedService.canViewPost(content, userId);
+  }
+
+  if (await blockService.isBlocked(userId, content.user)) {
+    return false;
+  }
+
+  // Stories have their own audiences (close friends, audience lists, followers,
+  // private accounts); only people who can view one can pass it on
+  if (content instanceof mongoose.model('Story')) {
+    return await content.canView(userId);
+  }
+
   // Check content privacy settings
   if (content.visibility === 'private') {
     return false;
@@ -259,7 +290,9 @@ async function createSharePost(share, originalContent) {
     user: share.sharedBy,
     content: share.caption || `Shared ${share.originalContentType}`,
     shareSource: share._id,
-    originalPost: share.originalContentId,
+    shareType: share.shareType === 'repost' ? 'repost' : 'share',
+    // Only posts can be embedded as quote cards
+    originalPost: share.originalContentType === 'post' ? share.originalContentId : undefined,
     isShare: true,
     visibility: share.visibility
   });
@@ -0,0 +1,112 @@
+// scripts/backfillReactions.js
+// Moves the legacy reaction arrays (Post.likes[], Comment.reactions[], Message.reactions[])
+// into the Reaction collection, then writes each target's reactionSummary.
+// Run after scripts/migrateEmbeddedComments.js.
+// Safe to re-run: a user's existing Reaction on a target is left untouched.
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Message from '../models/Message.js';
+import Reaction, { REACTION_TYPES } from '../models/Reaction.js';
+
+const BATCH_SIZE = 100;
+
+// Legacy array per target type, and how an entry maps to a reaction type
+const SOURCES = [
+  {
+    targetType: 'post',
+    Model: Post,
+    field: 'likes',
+    toReaction: () => ({ reactionType: 'like' })
+  },
+  {
+    targetType: 'comment',
+    Model: Comment,
+    field: 'reactions',
+    toReaction: entry => ({ reactionType: entry.type || 'like' })
+  },
+  {
+    targetType: 'message',
+    Model: Message,
+    field: 'reactions',
+    // Chat stored raw emoji; anything outside the built-in set becomes a like
+    toReaction: entry => ({
+      reactionType: Object.keys(REACTION_TYPES)
+        .find(type => REACTION_TYPES[type].emoji === entry.emoji) || 'like'
+    })
+  }
+];
+
+async function backfillTarget(source, doc) {
+  // Later entries win if a user somehow appears twice in the legacy array
+  const byUser = new Map();
+  for (const entry of doc[source.field] || []) {
+    if (entry.user) byUser.set(entry.user.toString(), entry);
+  }
+
+  if (byUser.size > 0) {
+    await Reaction.bulkWrite([...byUser.values()].map(entry => {
+      const reaction = source.toReaction(entry);
+
+      return {
+        updateOne: {
+          filter: { targetType: source.targetType, targetId: doc._id, user: entry.user },
+          update: {
+            $setOnInsert: {
+              ...reaction,
+              emoji: REACTION_TYPES[reaction.reactionType].emoji,
+              createdAt: entry.createdAt || new Date()
+            }
+          },
+          upsert: true
+        }
+      };
+    }), { ordered: false });
+  }
+
+  await Reaction.refreshSummary(source.targetType, doc._id);
+
+  // The legacy array is no longer part of the schema, so go through the driver
+  await source.Model.collection.updateOne(
+    { _id: doc._id },
+    { $unset: { [source.field]: '' } }
+  );
+
+  return byUser.size;
+}
+
+async function backfill(source) {
+  const cursor = source.Model.collection.find(
+    { [source.field]: { $exists: true } },
+    { projection: { [source.field]: 1 }, batchSize: BATCH_SIZE }
+  );
+
+  let targets = 0;
+  let reactions = 0;
+
+  for await (const doc of cursor) {
+    reactions += await backfillTarget(source, doc);
+    targets += 1;
+
+    if (targets % BATCH_SIZE === 0) {
+      console.log(`Processed ${targets} ${source.targetType}s (${reactions} reactions)`);
+    }
+  }
+
+  console.log(`Done: ${targets} ${source.targetType}s processed, ${reactions} reactions moved`);
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/peoplelink');
+
+  for (const source of SOURCES) {
+    await backfill(source);
+  }
+}
+
+run()
+  .catch(error => {
+    console.error('Reaction backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
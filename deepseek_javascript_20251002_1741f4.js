@@ -1,6 +1,7 @@
 // services/hashtagService.js
 import mongoose from 'mongoose';
 import { Post, Story } from '../models/User.js';
+import HashtagFollow from '../models/HashtagFollow.js';
 
 export class HashtagService {
   constructor() {
@@ -69,6 +70,68 @@ export class HashtagService {
     }
   }
 
+  // Re-sync hashtag stats after content was edited.
+  // Counts every occurrence, matching what processHashtags added originally.
+  async updateEditedContentHashtags(oldContent, newContent, contentType, contentId) {
+    const Hashtag = mongoose.model('Hashtag');
+    const now = new Date();
+    const oldCounts = this.countHashtags(oldContent);
+    const newCounts = this.countHashtags(newContent);
+    const tags = new Set([...oldCounts.keys(), ...newCounts.keys()]);
+
+    for (const tag of tags) {
+      const oldCount = oldCounts.get(tag) || 0;
+      const newCount = newCounts.get(tag) || 0;
+      const delta = newCount - oldCount;
+
+      if (delta === 0) continue;
+
+      if (newCount === 0) {
+        // Tag removed from the content
+        await Hashtag.updateOne(
+          { tag },
+          {
+            $inc: {
+              totalUses: delta,
+              [`usage.${contentType}`]: delta
+            },
+            $pull: { recentContent: { contentType, contentId } }
+          }
+        );
+      } else if (oldCount === 0) {
+        // Tag added to the content
+        await this.updateHashtagStats(
+          Array.from({ length: newCount }, () => ({ tag })),
+          contentType,
+          contentId
+        );
+      } else {
+        await Hashtag.updateOne(
+          { tag },
+          {
+            $inc: {
+              totalUses: delta,
+              [`usage.${contentType}`]: delta
+            },
+            lastUsed: now
+          }
+        );
+      }
+    }
+
+    return this.extractHashtags(newContent);
+  }
+
+  countHashtags(content) {
+    const counts = new Map();
+
+    this.extractHashtags(content || '').forEach(({ tag }) => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+
+    return counts;
+  }
+
   // Get trending hashtags
   async getTrendingHashtags(options = {}) {
     const { limit = 20, period = '24h', category } = options;
@@ -175,8 +238,6 @@ export class HashtagService {
 
   // Follow hashtag
   async followHashtag(userId, hashtag) {
-    const HashtagFollow = mongoose.model('HashtagFollow');
-    
     const follow = await HashtagFollow.findOneAndUpdate(
       { user: userId, hashtag },
       { followedAt: new Date() },
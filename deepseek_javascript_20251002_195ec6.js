@@ -1,5 +1,9 @@
 // socket/messaging.js (WebSocket/Socket.io)
 import { Server } from 'socket.io';
+import jwt from 'jsonwebtoken';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { ChatAuthorizer, CHAT_ERRORS } from './chatAuthorization.js';
 
 export const setupSocketIO = (server) => {
   const io = new Server(server, {
@@ -11,25 +15,67 @@ export const setupSocketIO = (server) => {
 
   // User socket connections map
   const userSockets = new Map();
+  const authorizer = new ChatAuthorizer();
+
+  // The user comes from the handshake token, never from event payloads
+  io.use((socket, next) => {
+    const token = socket.handshake.auth.token;
+
+    if (!token) {
+      return next(new Error('Authentication error'));
+    }
+
+    try {
+      socket.userId = jwt.verify(token, process.env.JWT_SECRET).userId;
+      next();
+    } catch (error) {
+      next(new Error('Authentication error'));
+    }
+  });
+
+  // Returns the authorized target, or emits authorization_error and returns null
+  const authorize = async (socket, event, target, policy) => {
+    try {
+      const result = await authorizer.authorize(socket.userId, target, policy);
+      if (!result.error) return result;
+
+      socket.emit('authorization_error', { event, ...result.error, ...target });
+    } catch (error) {
+      console.error(`Error authorizing ${event}:`, error);
+      socket.emit('authorization_error', {
+        event,
+        code: CHAT_ERRORS.INVALID_REQUEST,
+        message: 'Request could not be authorized',
+        ...target
+      });
+    }
+    return null;
+  };
 
   io.on('connection', (socket) => {
     console.log('User connected:', socket.id);
 
-    // User authentication and joining
-    socket.on('authenticate', (userId) => {
-      userSockets.set(userId, socket.id);
-      socket.join(`user_${userId}`);
+    // Joining the personal room; the payload is ignored for older clients that still send one
+    socket.on('authenticate', () => {
+      userSockets.set(socket.userId, socket.id);
+      socket.join(`user_${socket.userId}`);
     });
 
     // Send message
-    socket.on('send_message', async (data) => {
+    socket.on('send_message', async (data = {}) => {
       try {
         const { conversationId, content, media, replyTo } = data;
+
+        if (!await authorize(socket, 'send_message', { conversationId }, 'send')) return;
+
+        if (replyTo && !await Message.exists({ _id: replyTo, conversation: conversationId })) {
+          return socket.emit('message_error', { error: 'Reply target not found' });
+        }
         
         // Save message to database
         const message = new Message({
           conversation: conversationId,
-          sender: data.senderId,
+          sender: socket.userId,
           content,
           media,
           replyTo
@@ -50,7 +96,7 @@ export const setupSocketIO = (server) => {
         
         // Send to all participants
         conversation.participants.forEach(participant => {
-          if (participant._id.toString() !== data.senderId) {
+          if (participant._id.toString() !== socket.userId.toString()) {
             io.to(`user_${participant._id}`).emit('new_message', {
               conversationId,
               message
@@ -67,37 +113,51 @@ export const setupSocketIO = (server) => {
     });
 
     // Typing indicators
-    socket.on('typing_start', (data) => {
-      const { conversationId, userId } = data;
+    socket.on('typing_start', async (data = {}) => {
+      const { conversationId } = data;
+      if (!await authorize(socket, 'typing_start', { conversationId }, 'send')) return;
+
       socket.to(`conversation_${conversationId}`).emit('user_typing', {
-        userId,
+        userId: socket.userId,
         typing: true
       });
     });
 
-    socket.on('typing_stop', (data) => {
-      const { conversationId, userId } = data;
+    socket.on('typing_stop', async (data = {}) => {
+      const { conversationId } = data;
+      if (!await authorize(socket, 'typing_stop', { conversationId }, 'read')) return;
+
       socket.to(`conversation_${conversationId}`).emit('user_typing', {
-        userId,
+        userId: socket.userId,
         typing: false
       });
     });
 
     // Message read receipts
-    socket.on('mark_read', async (data) => {
-      const { messageId, userId } = data;
-      
-      await Message.findByIdAndUpdate(messageId, {
-        $addToSet: { readBy: { user: userId } }
-      });
+    socket.on('mark_read', async (data = {}) => {
+      try {
+        const { messageId } = data;
+        const userId = socket.userId;
+
+        const allowed = await authorize(socket, 'mark_read', { messageId }, 'read');
+        if (!allowed) return;
+        const { message } = allowed;
+
+        // Senders don't read their own messages
+        if (message.sender.toString() === userId.toString()) return;
 
-      // Notify sender that message was read
-      const message = await Message.findById(messageId).populate('sender');
-      if (message.sender._id.toString() !== userId) {
-        io.to(`user_${message.sender._id}`).emit('message_read', {
+        await Message.updateOne(
+          { _id: messageId, 'readBy.user': { $ne: userId } },
+          { $push: { readBy: { user: userId } } }
+        );
+
+        // Notify sender that message was read
+        io.to(`user_${message.sender}`).emit('message_read', {
           messageId,
           readBy: userId
         });
+      } catch (error) {
+        console.error('Mark read error:', error);
       }
     });
 
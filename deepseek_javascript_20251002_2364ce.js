@@ -2,37 +2,96 @@
 const postSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   content: { type: String, required: true, maxlength: 2200 },
+  postType: {
+    type: String,
+    enum: ['standard', 'poll'],
+    default: 'standard'
+  },
   image: { type: String },
   video: { type: String },
   
-  // Engagement metrics
-  likes: [{
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    createdAt: { type: Date, default: Date.now }
-  }],
+  // Carousel media (ordered, up to 10 images or videos)
+  media: {
+    type: [{
+      url: { type: String, required: true },
+      type: {
+        type: String,
+        enum: ['image', 'video'],
+        required: true
+      },
+      altText: { type: String, maxlength: 1000 },
+      width: Number,
+      height: Number,
+      blurhash: String,
+      blurredUrl: String, // Preview served in place of sensitive media
+      thumbnail: String, // Video poster frame
+      duration: Number, // Video length in seconds
+      order: { type: Number, default: 0 }
+    }],
+    validate: {
+      validator: (media) => media.length <= 10,
+      message: 'A post can have at most 10 media items'
+    }
+  },
   
-  comments: [{
-    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    content: { type: String, required: true, maxlength: 1000 },
-    likes: [{
-      user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-      createdAt: { type: Date, default: Date.now }
+  // Content warning; sensitive media is served blurred unless the viewer opts in
+  isSensitive: { type: Boolean, default: false },
+  sensitiveCategory: {
+    type: String,
+    enum: ['spoiler', 'graphic', 'nsfw']
+  },
+  
+  // Poll (postType 'poll'); ballots live in the PollVote collection
+  poll: {
+    options: [{
+      text: { type: String, required: true, maxlength: 80 },
+      voteCount: { type: Number, default: 0 }
     }],
-    createdAt: { type: Date, default: Date.now },
-    updatedAt: { type: Date, default: Date.now }
-  }],
+    allowMultiple: { type: Boolean, default: false },
+    expiresAt: { type: Date },
+    totalVoters: { type: Number, default: 0 },
+    isClosed: { type: Boolean, default: false },
+    closedAt: { type: Date }
+  },
+  
+  // Reactions live in the Reaction collection; this is their denormalized summary.
+  // scripts/backfillReactions.js moved the old likes array out
+  reactionSummary: {
+    counts: { type: Map, of: Number, default: {} },
+    total: { type: Number, default: 0 },
+    topTypes: [String]
+  },
+  // Author-only option: other viewers see which reactions lead, but no numbers
+  hideLikeCount: { type: Boolean, default: false },
+  
+  // Comments live in the Comment collection (targetType 'post');
+  // scripts/migrateEmbeddedComments.js moved the old embedded array out
+  commentCount: { type: Number, default: 0 },
+  commentPermission: {
+    type: String,
+    enum: ['everyone', 'followers', 'friends', 'nobody'],
+    default: 'everyone'
+  },
   
   shares: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdAt: { type: Date, default: Date.now }
   }],
   
+  // Timeline shares (created by routes/shares.js); reposts render as quote cards
+  isShare: { type: Boolean, default: false },
+  shareSource: { type: mongoose.Schema.Types.ObjectId, ref: 'Share' },
+  shareType: { type: String, enum: ['share', 'repost'] },
+  originalPost: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
+  
   // Privacy settings
   visibility: { 
     type: String, 
-    enum: ['public', 'friends', 'private'], 
+    enum: ['public', 'friends', 'close_friends', 'audience', 'private'], 
     default: 'public' 
   },
+  // Required with visibility 'audience'
+  audienceList: { type: mongoose.Schema.Types.ObjectId, ref: 'AudienceList' },
   
   // Location
   location: {
@@ -47,6 +106,32 @@ const postSchema = new mongoose.Schema({
   hashtags: [String],
   mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   
+  // Publishing workflow
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published'],
+    default: 'published'
+  },
+  scheduledAt: { type: Date },
+  publishedAt: { type: Date },
+  
+  // Edit history (previous versions, oldest first)
+  isEdited: { type: Boolean, default: false },
+  editedAt: { type: Date },
+  revisions: {
+    type: [{
+      content: String,
+      hashtags: [String],
+      mentions: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      location: {
+        name: String,
+        coordinates: [Number]
+      },
+      revisedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  },
+  
   // Timestamps
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -55,4 +140,26 @@ const postSchema = new mongoose.Schema({
 // Indexes for better performance
 postSchema.index({ user: 1, createdAt: -1 });
 postSchema.index({ hashtags: 1 });
-postSchema.index({ 'location.coordinates': '2dsphere' });
\ No newline at end of file
+postSchema.index({ 'location.coordinates': '2dsphere' });
+postSchema.index({ status: 1, scheduledAt: 1 });
+postSchema.index({ user: 1, status: 1, updatedAt: -1 });
+postSchema.index({ postType: 1, 'poll.isClosed': 1, 'poll.expiresAt': 1 });
+postSchema.index({ originalPost: 1, shareType: 1, createdAt: -1 });
+
+// Poll tallies are only returned through the poll results endpoint
+postSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.postType !== 'poll') {
+      delete ret.poll;
+    } else if (ret.poll) {
+      delete ret.poll.totalVoters;
+      ret.poll.options = ret.poll.options.map(({ _id, text }) => ({ _id, text }));
+    }
+    return ret;
+  }
+});
+
+// Live posts only (posts created before the status field count as published)
+postSchema.query.published = function() {
+  return this.where({ status: { $nin: ['draft', 'scheduled'] } });
+};
\ No newline at end of file
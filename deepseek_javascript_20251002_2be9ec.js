@@ -0,0 +1,216 @@
+// services/followService.js
+// The one follow workflow. Following a public account is immediate; following a
+// private account leaves a pending Relationship until the owner accepts it.
+import mongoose from 'mongoose';
+import Relationship from '../models/Relationship.js';
+import User from '../models/User.js';
+import Notification from '../models/Notification.js';
+import cache from '../redis/cache.js';
+import { applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { BlockService } from './blockService.js';
+
+export class FollowService {
+  constructor() {
+    this.blockService = new BlockService();
+  }
+
+  // Returns { relationship } or { error, status }; relationship.status is
+  // 'accepted' for an immediate follow and 'pending' for a request
+  async follow(user, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'User not found', status: 404 };
+    }
+    if (targetId.toString() === user.id.toString()) {
+      return { error: 'Cannot follow yourself', status: 400 };
+    }
+
+    const target = await User.findById(targetId).select('isPrivate');
+    if (!target) {
+      return { error: 'User not found', status: 404 };
+    }
+
+    if (await this.blockService.isBlocked(user.id, targetId)) {
+      return { error: 'Cannot follow this user', status: 400 };
+    }
+
+    const existing = await Relationship.findOne({ follower: user.id, following: targetId });
+
+    if (existing && existing.status === 'accepted') {
+      return { error: 'Already following this user', status: 400 };
+    }
+    if (existing && existing.status === 'pending') {
+      return { error: 'Follow request already sent', status: 400 };
+    }
+
+    // A row left over from the old friend flow ('rejected') is reused
+    const relationship = existing || new Relationship({ follower: user.id, following: targetId });
+    relationship.status = target.isPrivate ? 'pending' : 'accepted';
+    relationship.updatedAt = new Date();
+    await relationship.save();
+
+    await cache.invalidateUserCache(user.id);
+
+    if (relationship.status === 'pending') {
+      await Notification.create({
+        user: targetId,
+        type: 'follow_request',
+        fromUser: user.id,
+        message: `${user.name} wants to follow you`,
+        actions: ['accept', 'decline']
+      });
+    } else {
+      await Notification.create({
+        user: targetId,
+        type: 'follow',
+        fromUser: user.id,
+        message: `${user.name} started following you`
+      });
+    }
+
+    return { relationship };
+  }
+
+  // Unfollow, or withdraw a request that hasn't been answered yet
+  async unfollow(userId, targetId) {
+    const relationship = await Relationship.findOneAndDelete({
+      follower: userId,
+      following: targetId,
+      status: { $in: ['accepted', 'pending'] }
+    });
+
+    if (!relationship) {
+      return { error: 'Not following this user', status: 400 };
+    }
+
+    if (relationship.status === 'pending') {
+      // The request's accept/decline buttons would otherwise point at nothing
+      await Notification.deleteMany({
+        user: targetId,
+        fromUser: userId,
+        type: 'follow_request',
+        actionTaken: { $exists: false }
+      });
+    } else {
+      await relationship.updateUserCounts();
+    }
+
+    await cache.invalidateUserCache(userId);
+
+    return { relationship };
+  }
+
+  // Approve a pending request. `user` is the account being followed.
+  async accept(user, followerId) {
+    const relationship = await Relationship.findOneAndUpdate(
+      { follower: followerId, following: user.id, status: 'pending' },
+      { status: 'accepted', updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!relationship) {
+      return { error: 'Follow request not found', status: 404 };
+    }
+
+    await Promise.all([
+      relationship.updateUserCounts(),
+      this.resolveRequestNotification(user.id, followerId, 'accepted'),
+      cache.invalidateUserCache(followerId)
+    ]);
+
+    await Notification.create({
+      user: followerId,
+      type: 'follow_accept',
+      fromUser: user.id,
+      message: `${user.name} accepted your follow request`
+    });
+
+    return { relationship };
+  }
+
+  // Declined requests are removed outright so the requester can ask again later
+  async decline(userId, followerId) {
+    const relationship = await Relationship.findOneAndDelete({
+      follower: followerId,
+      following: userId,
+      status: 'pending'
+    });
+
+    if (!relationship) {
+      return { error: 'Follow request not found', status: 404 };
+    }
+
+    await this.resolveRequestNotification(userId, followerId, 'declined');
+
+    return { relationship };
+  }
+
+  // Going public approves everyone who was waiting
+  async acceptAllRequests(userId) {
+    const pending = await Relationship.find({ following: userId, status: 'pending' });
+    if (pending.length === 0) return 0;
+
+    await Relationship.updateMany(
+      { _id: { $in: pending.map(row => row._id) } },
+      { status: 'accepted', updatedAt: new Date() }
+    );
+
+    await Promise.all(pending.map(row => Promise.all([
+      row.updateUserCounts(),
+      this.resolveRequestNotification(userId, row.follower, 'accepted'),
+      cache.invalidateUserCache(row.follower)
+    ])));
+
+    return pending.length;
+  }
+
+  async resolveRequestNotification(userId, followerId, actionTaken) {
+    await Notification.updateMany(
+      {
+        user: userId,
+        fromUser: followerId,
+        type: 'follow_request',
+        actionTaken: { $exists: false }
+      },
+      { actionTaken, isRead: true }
+    );
+  }
+
+  // Requests waiting on the user's answer, newest first
+  async listIncoming(userId, { cursor, limit }) {
+    return await this.listRequests({ following: userId }, 'follower', cursor, limit);
+  }
+
+  // Requests the user has sent that are still unanswered, newest first
+  async listOutgoing(userId, { cursor, limit }) {
+    return await this.listRequests({ follower: userId }, 'following', cursor, limit);
+  }
+
+  async listRequests(query, userField, cursor, limit) {
+    const rows = await Relationship.find(applyCursor({ ...query, status: 'pending' }, cursor))
+      .populate(userField, 'name username avatar isVerified')
+      .sort(cursorSort())
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(rows, limit);
+
+    return {
+      requests: items
+        .filter(row => row[userField])
+        .map(row => ({ user: row[userField], requestedAt: row.createdAt })),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  async isFollowing(followerId, followingId) {
+    return Boolean(await Relationship.exists({
+      follower: followerId,
+      following: followingId,
+      status: 'accepted'
+    }));
+  }
+
+  async getFollowingIds(userId) {
+    return await Relationship.find({ follower: userId, status: 'accepted' }).distinct('following');
+  }
+}
@@ -1,133 +1,973 @@
 // routes/posts.js
 import express from 'express';
+import multer from 'multer';
 import { authMiddleware } from '../middleware/auth.js';
 import Post from '../models/Post.js';
+import User from '../models/User.js';
+import SavedPost from '../models/SavedPost.js';
+import SavedCollection from '../models/SavedCollection.js';
 import cache from '../redis/cache.js';
+import { getPaginationParams, applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { PostPublishingService } from '../services/postPublishingService.js';
+import { FeedService } from '../services/feedService.js';
+import { HashtagService } from '../services/hashtagService.js';
+import { TaggingService } from '../services/taggingService.js';
+import { diffWords } from '../utils/diff.js';
+import { MediaProcessor } from '../services/mediaProcessor.js';
+import { PollService } from '../services/pollService.js';
+import { SensitiveMediaService } from '../services/sensitiveMediaService.js';
+import { CommentService } from '../services/commentService.js';
+import { ReactionService } from '../services/reactionService.js';
+import { AudienceService } from '../services/audienceService.js';
 
 const router = express.Router();
+const postPublishingService = new PostPublishingService();
+const feedService = new FeedService();
+const hashtagService = new HashtagService();
+const taggingService = new TaggingService();
+const mediaProcessor = new MediaProcessor();
+const pollService = new PollService();
+const sensitiveMediaService = new SensitiveMediaService();
+const commentService = new CommentService();
+const reactionService = new ReactionService();
+const audienceService = new AudienceService();
+const POST_VISIBILITIES = Post.schema.path('visibility').enumValues;
 
-// Get all posts (with pagination and caching)
+const MAX_POST_MEDIA = 10;
+const MAX_PINNED_POSTS = 3;
+
+// Carousel uploads are written to disk for MediaProcessor
+const upload = multer({
+  dest: 'uploads/tmp',
+  limits: {
+    fileSize: 100 * 1024 * 1024, // 100MB
+    files: MAX_POST_MEDIA
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images and videos are allowed.'));
+    }
+  }
+});
+
+// Get public posts (with pagination and caching)
+// Personalized feed lives in routes/feed.js
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const skip = (page - 1) * limit;
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query, {
+      defaultLimit: 10
+    });
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    // Try to get from cache first
+    // Cursor pages are not cached; page-based requests keep the old cache keys
     const cacheKey = `posts_page_${page}_limit_${limit}`;
-    const cachedPosts = await cache.getCached(cacheKey);
-    
-    if (cachedPosts) {
-      return res.json(JSON.parse(cachedPosts));
+
+    if (!cursor) {
+      const cachedPosts = await cache.getCached(cacheKey);
+      
+      if (cachedPosts) {
+        const cached = JSON.parse(cachedPosts);
+        return res.json({
+          ...cached,
+          posts: await feedService.presentPosts(cached.posts, req.user.id)
+        });
+      }
     }
 
-    const posts = await Post.find()
+    // Cache is shared by every user, so only public posts belong here
+    const query = { visibility: 'public' };
+
+    const results = await Post.find(applyCursor(query, cursor))
+      .published()
       .populate('user', 'name avatar isVerified')
-      .populate('comments')
-      .sort({ createdAt: -1 })
+      .sort(cursorSort())
       .skip(skip)
-      .limit(limit);
+      .limit(limit + 1);
 
-    const total = await Post.countDocuments();
+    const { items: posts, nextCursor, hasMore } = buildPage(results, limit);
 
-    // Cache the result
-    await cache.setCached(cacheKey, JSON.stringify({
+    if (cursor) {
+      return res.json({
+        posts: await feedService.presentPosts(posts, req.user.id),
+        nextCursor,
+        hasMore
+      });
+    }
+
+    const total = await Post.countDocuments(query).published();
+    const response = {
       posts,
       total,
       page,
-      pages: Math.ceil(total / limit)
-    }), 300); // 5 minutes
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
+    };
+
+    // Cache the result (quote cards are resolved per viewer)
+    await cache.setCached(cacheKey, JSON.stringify(response), 300); // 5 minutes
 
     res.json({
-      posts,
-      total,
-      page,
-      pages: Math.ceil(total / limit)
+      ...response,
+      posts: await feedService.presentPosts(posts, req.user.id)
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Create new post
-router.post('/', authMiddleware, async (req, res) => {
+// Create new post (published now, saved as draft, or scheduled)
+// Accepts up to 10 `media` files; `altText` fields are matched to files by position
+router.post('/', authMiddleware, upload.array('media', MAX_POST_MEDIA), async (req, res) => {
   try {
-    const { content, imageUrl } = req.body;
+    const { content, imageUrl, status = 'published', scheduledAt } = req.body;
+
+    if (!['draft', 'scheduled', 'published'].includes(status)) {
+      return res.status(400).json({ message: 'Invalid post status' });
+    }
+
+    // close_friends and audience (with audienceList) restrict who sees the post
+    const audience = await audienceService.resolveVisibility(
+      req.user.id,
+      req.body.visibility || 'public',
+      req.body.audienceList,
+      POST_VISIBILITIES
+    );
+    if (audience.error) {
+      return res.status(audience.status).json({ message: audience.error });
+    }
+
+    const scheduleError = validateSchedule(status, scheduledAt);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    const { sensitivity, error: sensitivityError } = sensitiveMediaService.buildSensitivity(
+      req.body.isSensitive,
+      req.body.sensitiveCategory
+    );
+    if (sensitivityError) {
+      return res.status(400).json({ message: sensitivityError });
+    }
+
+    // Multipart requests send the poll as a JSON string
+    const { pollInput, error: pollInputError } = parsePollInput(req.body.poll);
+    if (pollInputError) {
+      return res.status(400).json({ message: pollInputError });
+    }
+    let poll;
+
+    if (pollInput) {
+      const startsAt = status === 'scheduled' ? new Date(scheduledAt) : new Date();
+      const result = pollService.buildPoll(pollInput, startsAt);
+
+      if (result.error) {
+        return res.status(400).json({ message: result.error });
+      }
+
+      poll = result.poll;
+    }
+
+    const media = await mediaProcessor.processPostMedia(
+      req.files || [],
+      [].concat(req.body.altText || []),
+      req.user.id,
+      sensitivity.isSensitive
+    );
 
     const post = new Post({
       user: req.user.id,
       content,
-      imageUrl
+      imageUrl,
+      media,
+      ...sensitivity,
+      // Multipart requests send booleans as strings
+      hideLikeCount: [true, 'true'].includes(req.body.hideLikeCount),
+      visibility: audience.visibility,
+      audienceList: audience.audienceList,
+      postType: poll ? 'poll' : 'standard',
+      poll,
+      status,
+      scheduledAt: status === 'scheduled' ? new Date(scheduledAt) : undefined,
+      publishedAt: status === 'published' ? new Date() : undefined
     });
 
     await post.save();
+
+    if (status === 'published') {
+      await postPublishingService.runPublishHooks(post);
+
+      // Invalidate cache
+      await cache.invalidatePattern('posts_page_*');
+    }
     
     // Populate user data
     await post.populate('user', 'name avatar isVerified');
 
-    // Invalidate cache
+    res.status(201).json(post);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  } finally {
+    // Uploads rejected before processing are still in uploads/tmp
+    await cleanupUploads(req.files);
+  }
+});
+
+// Get current user's drafts
+router.get('/drafts', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = { user: req.user.id, status: 'draft' };
+    const sortOptions = { field: 'updatedAt', order: -1 };
+
+    const results = await Post.find(applyCursor(query, cursor, sortOptions))
+      .sort(cursorSort(sortOptions))
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items: drafts, nextCursor, hasMore } = buildPage(results, limit, sortOptions.field);
+
+    if (cursor) {
+      return res.json({ drafts, nextCursor, hasMore });
+    }
+
+    const total = await Post.countDocuments(query);
+
+    res.json({
+      drafts,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get current user's scheduled posts (next to go live first)
+router.get('/scheduled', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = { user: req.user.id, status: 'scheduled' };
+    const sortOptions = { field: 'scheduledAt', order: 1 };
+
+    const results = await Post.find(applyCursor(query, cursor, sortOptions))
+      .sort(cursorSort(sortOptions))
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items: posts, nextCursor, hasMore } = buildPage(results, limit, sortOptions.field);
+
+    if (cursor) {
+      return res.json({ posts, nextCursor, hasMore });
+    }
+
+    const total = await Post.countDocuments(query);
+
+    res.json({
+      posts,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get current user's saved posts (newest saves first)
+router.get('/saved', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = { user: req.user.id };
+
+    const results = await SavedPost.find(applyCursor(query, cursor))
+      .populate({
+        path: 'post',
+        populate: { path: 'user', select: 'name username avatar isVerified' }
+      })
+      .sort(cursorSort())
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items: saves, nextCursor, hasMore } = buildPage(results, limit);
+
+    // Deleted or no-longer-visible posts drop out of the list
+    const posts = await feedService.filterVisiblePosts(
+      saves.map(save => save.post),
+      req.user.id
+    );
+
+    res.json({
+      posts: await feedService.presentPosts(posts, req.user.id),
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a user's profile posts (pinned posts first)
+router.get('/user/:userId', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, page, limit, invalidCursor } = getPaginationParams(req.query, {
+      defaultLimit: 10,
+      maxLimit: 50
+    });
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const profile = await feedService.getProfilePosts(req.params.userId, req.user.id, {
+      cursor,
+      page,
+      limit
+    });
+
+    if (!profile) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const posts = profile.posts.map(post => ({
+      ...post.toJSON(),
+      pinned: post.$locals.pinned
+    }));
+
+    res.json({
+      ...profile,
+      posts: await feedService.presentPosts(posts, req.user.id)
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder pinned posts (`postIds` must list every pinned post)
+router.put('/pins/reorder', authMiddleware, async (req, res) => {
+  try {
+    const { postIds } = req.body;
+
+    if (!Array.isArray(postIds)) {
+      return res.status(400).json({ message: 'postIds must be an array' });
+    }
+
+    const user = await User.findById(req.user.id).select('pinnedPosts');
+    const current = user.pinnedPosts.map(id => id.toString()).sort();
+    const requested = postIds.map(String);
+
+    if (requested.length !== current.length ||
+        [...requested].sort().some((id, index) => id !== current[index])) {
+      return res.status(400).json({ message: 'postIds must match your pinned posts' });
+    }
+
+    user.pinnedPosts = requested;
+    await user.save();
+
+    res.json({ pinnedPosts: user.pinnedPosts });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Edit a draft or scheduled post (also moves it between draft and scheduled)
+router.put('/drafts/:id', authMiddleware, async (req, res) => {
+  try {
+    const { content, imageUrl, visibility, audienceList, status, scheduledAt } = req.body;
+
+    const post = await Post.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      status: { $in: ['draft', 'scheduled'] }
+    });
+
+    if (!post) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
+    const nextStatus = status || post.status;
+
+    if (!['draft', 'scheduled'].includes(nextStatus)) {
+      return res.status(400).json({ message: 'Use the publish endpoint to publish a draft' });
+    }
+
+    const nextScheduledAt = scheduledAt !== undefined ? scheduledAt : post.scheduledAt;
+    const scheduleError = validateSchedule(nextStatus, nextScheduledAt);
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    if (content !== undefined) post.content = content;
+    if (imageUrl !== undefined) post.imageUrl = imageUrl;
+    if (visibility !== undefined) {
+      const audience = await audienceService.resolveVisibility(
+        req.user.id,
+        visibility,
+        audienceList,
+        POST_VISIBILITIES
+      );
+      if (audience.error) {
+        return res.status(audience.status).json({ message: audience.error });
+      }
+
+      post.visibility = audience.visibility;
+      post.audienceList = audience.audienceList;
+    }
+
+    // Drafts count from their last save, scheduled posts from their publish time
+    const now = new Date();
+    pollService.shiftPollWindow(
+      post,
+      post.status === 'scheduled' ? post.scheduledAt : post.updatedAt,
+      nextStatus === 'scheduled' ? nextScheduledAt : now
+    );
+
+    post.status = nextStatus;
+    post.scheduledAt = nextStatus === 'scheduled' ? new Date(nextScheduledAt) : undefined;
+    post.updatedAt = now;
+
+    await post.save();
+
+    res.json(post);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Publish a draft or scheduled post right away
+router.post('/drafts/:id/publish', authMiddleware, async (req, res) => {
+  try {
+    const post = await postPublishingService.publish({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!post) {
+      return res.status(404).json({ message: 'Draft not found' });
+    }
+
     await cache.invalidatePattern('posts_page_*');
+    await post.populate('user', 'name avatar isVerified');
 
-    res.status(201).json(post);
+    res.json(post);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Like/Unlike post
-router.post('/:id/like', authMiddleware, async (req, res) => {
+// Edit a published post (previous version is kept as a revision)
+router.put('/:id', authMiddleware, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-    
+    const { content, location } = req.body;
+
+    if (content === undefined && location === undefined) {
+      return res.status(400).json({ message: 'Nothing to update' });
+    }
+
+    const post = await Post.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    })
+    .published()
+    .select('+revisions');
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const previous = {
+      content: post.content,
+      hashtags: post.hashtags,
+      mentions: post.mentions,
+      location: post.location
+    };
+    const now = new Date();
+
+    post.revisions.push({ ...previous, revisedAt: now });
+
+    if (content !== undefined) {
+      const tags = await taggingService.extractTags(content, {
+        extractLocations: false,
+        authorId: req.user.id
+      });
+
+      post.content = content;
+      post.hashtags = tags.hashtags.map(tag => tag.tag);
+      post.mentions = [...new Set(tags.users.map(tag => tag.user.toString()))];
+
+      // Keep Hashtag usage counts in step with the edit
+      await hashtagService.updateEditedContentHashtags(
+        previous.content,
+        content,
+        'post',
+        post._id
+      );
+
+      // Only people who weren't mentioned before get notified
+      const previousMentions = new Set(previous.mentions.map(id => id.toString()));
+      const addedMentions = tags.users.filter(
+        (tag, index, all) =>
+          !previousMentions.has(tag.user.toString()) &&
+          all.findIndex(other => other.user.toString() === tag.user.toString()) === index
+      );
+
+      await taggingService.createMentionNotifications(
+        addedMentions,
+        'post',
+        post._id,
+        req.user.id
+      );
+    }
+
+    if (location !== undefined) {
+      post.location = location;
+    }
+
+    post.isEdited = true;
+    post.editedAt = now;
+    post.updatedAt = now;
+
+    await post.save();
+
+    await cache.invalidatePattern('posts_page_*');
+    await cache.invalidateUserCache(req.user.id);
+
+    const updated = post.toJSON();
+    delete updated.revisions;
+
+    res.json({ ...updated, revisionCount: post.revisions.length });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add or remove a content warning (blurred previews are generated on demand)
+router.patch('/:id/sensitivity', authMiddleware, async (req, res) => {
+  try {
+    const { sensitivity, error } = sensitiveMediaService.buildSensitivity(
+      req.body.isSensitive,
+      req.body.sensitiveCategory
+    );
+
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const post = await Post.findOne({ _id: req.params.id, user: req.user.id });
+
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    const likeIndex = post.likes.findIndex(
-      like => like.user.toString() === req.user.id
+    if (sensitivity.isSensitive) {
+      await sensitiveMediaService.addBlurredPreviews(post.media, req.user.id);
+    }
+
+    post.isSensitive = sensitivity.isSensitive;
+    post.sensitiveCategory = sensitivity.sensitiveCategory;
+    post.updatedAt = new Date();
+    await post.save();
+
+    await cache.invalidatePattern('posts_page_*');
+
+    res.json(post);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Restrict who can comment on a post
+router.patch('/:id/comment-settings', authMiddleware, async (req, res) => {
+  try {
+    const { commentPermission } = req.body;
+
+    if (!['everyone', 'followers', 'friends', 'nobody'].includes(commentPermission)) {
+      return res.status(400).json({
+        message: 'commentPermission must be everyone, followers, friends or nobody'
+      });
+    }
+
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { commentPermission, updatedAt: new Date() },
+      { new: true }
     );
 
-    if (likeIndex > -1) {
-      // Unlike
-      post.likes.splice(likeIndex, 1);
-      await post.save();
-      res.json({ liked: false, likesCount: post.likes.length });
-    } else {
-      // Like
-      post.likes.push({ user: req.user.id });
-      await post.save();
-      res.json({ liked: true, likesCount: post.likes.length });
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
     }
+
+    res.json({ postId: post._id, commentPermission: post.commentPermission });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Add comment
-router.post('/:id/comments', authMiddleware, async (req, res) => {
+// Hide or show like counts on a post (the author always sees them)
+router.patch('/:id/reaction-settings', authMiddleware, async (req, res) => {
   try {
-    const { content } = req.body;
-    const post = await Post.findById(req.params.id);
+    const { hideLikeCount } = req.body;
+
+    if (typeof hideLikeCount !== 'boolean') {
+      return res.status(400).json({ message: 'hideLikeCount must be a boolean' });
+    }
+
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { hideLikeCount, updatedAt: new Date() },
+      { new: true }
+    );
 
     if (!post) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    const comment = {
+    await cache.invalidatePattern('posts_page_*');
+
+    res.json({ postId: post._id, hideLikeCount: post.hideLikeCount });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get edit history with word-level diffs between consecutive versions
+router.get('/:id/revisions', authMiddleware, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id)
+      .select('+revisions')
+      .populate('revisions.mentions mentions', 'name username');
+
+    if (!post || !await feedService.canViewPost(post, req.user.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    // Every stored revision followed by the current version
+    const snapshots = [
+      ...post.revisions.map(revision => revision.toObject()),
+      {
+        content: post.content,
+        hashtags: post.hashtags,
+        mentions: post.mentions,
+        location: post.location
+      }
+    ];
+
+    const versions = snapshots.map((snapshot, index) => ({
+      version: index + 1,
+      content: snapshot.content,
+      hashtags: snapshot.hashtags,
+      mentions: snapshot.mentions,
+      location: snapshot.location,
+      // A version starts when the one before it was replaced
+      createdAt: index === 0
+        ? post.publishedAt || post.createdAt
+        : post.revisions[index - 1].revisedAt,
+      isCurrent: index === snapshots.length - 1,
+      diff: index === 0 ? null : diffWords(snapshots[index - 1].content, snapshot.content)
+    }));
+
+    res.json({
+      postId: post._id,
+      isEdited: post.isEdited,
+      editedAt: post.editedAt,
+      versions
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Vote in a poll post (`options` is a list of option indexes)
+router.post('/:id/poll/vote', authMiddleware, async (req, res) => {
+  try {
+    const post = await Post.findOne({ _id: req.params.id, postType: 'poll' }).published();
+
+    if (!post || !await feedService.canViewPost(post, req.user.id)) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    const { options, optionIndex } = req.body;
+    const result = await pollService.vote(
+      post,
+      req.user.id,
+      options !== undefined ? [].concat(options) : [optionIndex]
+    );
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ voted: true, poll: result.poll });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get poll state (results only after voting or once the poll closes)
+router.get('/:id/poll', authMiddleware, async (req, res) => {
+  try {
+    const post = await Post.findOne({ _id: req.params.id, postType: 'poll' }).published();
+
+    if (!post || !await feedService.canViewPost(post, req.user.id)) {
+      return res.status(404).json({ message: 'Poll not found' });
+    }
+
+    res.json(await pollService.getResults(post._id, req.user.id));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get quote-reposts of a post
+router.get('/:id/quotes', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const post = await Post.findById(req.params.id).published();
+
+    if (!post || !await feedService.canViewPost(post, req.user.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const query = { originalPost: post._id, shareType: 'repost' };
+
+    const results = await Post.find(applyCursor(query, cursor))
+      .published()
+      .populate('user', 'name username avatar isVerified')
+      .sort(cursorSort())
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(results, limit);
+    const quotes = await feedService.filterVisiblePosts(items, req.user.id);
+
+    res.json({
+      postId: post._id,
+      quotes: await feedService.presentPosts(quotes, req.user.id),
+      nextCursor,
+      hasMore
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin post to the top of the author's profile
+router.post('/:id/pin', authMiddleware, async (req, res) => {
+  try {
+    const post = await Post.findOne({ _id: req.params.id, user: req.user.id }).published();
+
+    if (!post) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    // Conditional push keeps the cap under concurrent requests
+    const user = await User.findOneAndUpdate(
+      {
+        _id: req.user.id,
+        pinnedPosts: { $ne: post._id },
+        [`pinnedPosts.${MAX_PINNED_POSTS - 1}`]: { $exists: false }
+      },
+      { $push: { pinnedPosts: post._id } },
+      { new: true }
+    ).select('pinnedPosts');
+
+    if (!user) {
+      const current = await User.findById(req.user.id).select('pinnedPosts');
+
+      if (!current.pinnedPosts.some(id => id.equals(post._id))) {
+        return res.status(400).json({
+          message: `You can pin up to ${MAX_PINNED_POSTS} posts`
+        });
+      }
+
+      return res.json({ pinned: true, pinnedPosts: current.pinnedPosts });
+    }
+
+    res.json({ pinned: true, pinnedPosts: user.pinnedPosts });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unpin post
+router.delete('/:id/pin', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $pull: { pinnedPosts: req.params.id } },
+      { new: true }
+    ).select('pinnedPosts');
+
+    res.json({ pinned: false, pinnedPosts: user.pinnedPosts });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Save post (optionally straight into a collection)
+router.post('/:id/save', authMiddleware, async (req, res) => {
+  try {
+    const { collectionId } = req.body;
+    const post = await Post.findById(req.params.id).published();
+
+    if (!post || !await feedService.canViewPost(post, req.user.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    if (collectionId) {
+      const collection = await SavedCollection.findOneAndUpdate(
+        { _id: collectionId, user: req.user.id },
+        { $addToSet: { posts: post._id }, updatedAt: new Date() }
+      );
+
+      if (!collection) {
+        return res.status(404).json({ message: 'Collection not found' });
+      }
+    }
+
+    await SavedPost.updateOne(
+      { user: req.user.id, post: post._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.json({ saved: true, collectionId: collectionId || null });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unsave post (also removes it from every collection)
+router.delete('/:id/save', authMiddleware, async (req, res) => {
+  try {
+    const save = await SavedPost.findOneAndDelete({
       user: req.user.id,
-      content,
-      createdAt: new Date()
-    };
+      post: req.params.id
+    });
 
-    post.comments.push(comment);
-    await post.save();
+    if (!save) {
+      return res.status(404).json({ message: 'Post is not saved' });
+    }
+
+    await SavedCollection.updateMany(
+      { user: req.user.id, posts: save.post },
+      { $pull: { posts: save.post }, updatedAt: new Date() }
+    );
+
+    res.json({ saved: false });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Like/Unlike post (wrapper over /api/reactions/post/:id)
+router.post('/:id/like', authMiddleware, async (req, res) => {
+  try {
+    const result = await reactionService.toggleReaction({
+      targetType: 'post',
+      targetId: req.params.id,
+      userId: req.user.id
+    });
 
-    // Populate user data in the new comment
-    await post.populate('comments.user', 'name avatar');
+    if (result.error) {
+      return res.status(result.status).json({
+        message: result.status === 404 ? 'Post not found' : result.error
+      });
+    }
 
-    const newComment = post.comments[post.comments.length - 1];
-    res.status(201).json(newComment);
+    res.json({
+      liked: result.reacted,
+      likesCount: result.summary.total,
+      reactionSummary: result.summary
+    });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
-});
\ No newline at end of file
+});
+
+// Add comment (stored as a Comment document, same as /api/comments/post/:id)
+router.post('/:id/comments', authMiddleware, async (req, res) => {
+  try {
+    const { content, parentCommentId, media } = req.body;
+
+    const result = await commentService.createComment({
+      targetType: 'post',
+      targetId: req.params.id,
+      userId: req.user.id,
+      content,
+      parentCommentId,
+      media
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.status(201).json(result.comment);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Helper functions
+// Remove multer temp files; files MediaProcessor already removed are skipped
+async function cleanupUploads(files = []) {
+  await Promise.all(files.map(file => mediaProcessor.cleanupTempFile(file.path)));
+}
+
+// Returns { pollInput } or { error }
+function parsePollInput(poll) {
+  if (typeof poll !== 'string') return { pollInput: poll };
+
+  try {
+    return { pollInput: JSON.parse(poll) };
+  } catch (error) {
+    return { error: 'Invalid poll' };
+  }
+}
+
+function validateSchedule(status, scheduledAt) {
+  if (status !== 'scheduled') return null;
+
+  const publishAt = new Date(scheduledAt);
+
+  if (!scheduledAt || isNaN(publishAt.getTime())) {
+    return 'A valid scheduledAt is required for scheduled posts';
+  }
+
+  if (publishAt <= new Date()) {
+    return 'scheduledAt must be in the future';
+  }
+
+  return null;
+}
\ No newline at end of file
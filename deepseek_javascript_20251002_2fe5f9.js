@@ -1,6 +1,17 @@
 // models/Reaction.js
 import mongoose from 'mongoose';
 
+// Built-in reactions; admins can add more through ReactionPack
+export const REACTION_TYPES = {
+  like: { emoji: '👍', label: 'Like' },
+  love: { emoji: '❤️', label: 'Love' },
+  haha: { emoji: '😂', label: 'Haha' },
+  wow: { emoji: '😮', label: 'Wow' },
+  sad: { emoji: '😢', label: 'Sad' },
+  angry: { emoji: '😠', label: 'Angry' },
+  care: { emoji: '🤗', label: 'Care' }
+};
+
 const reactionSchema = new mongoose.Schema({
   // Target content (post, comment, story, etc.)
   targetType: {
@@ -21,22 +32,24 @@ const reactionSchema = new mongoose.Schema({
     required: true
   },
   
-  // Reaction type with emoji support
+  // Built-in type or a pack reaction's key; ReactionService checks it
+  // against what the target allows
   reactionType: {
     type: String,
-    enum: ['like', 'love', 'haha', 'wow', 'sad', 'angry', 'care'],
-    default: 'like'
+    default: 'like',
+    match: /^[a-z0-9_]{2,32}$/
   },
   emoji: {
     type: String,
     default: '👍'
   },
   
-  // Custom reaction (if allowed)
-  customReaction: {
-    type: String,
-    maxlength: 10 // Emoji or short text
+  // Set for pack reactions (imageUrl only for image reactions)
+  pack: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReactionPack'
   },
+  imageUrl: String,
   
   createdAt: {
     type: Date,
@@ -47,39 +60,46 @@ const reactionSchema = new mongoose.Schema({
 // Compound index for unique reactions
 reactionSchema.index({ targetType: 1, targetId: 1, user: 1 }, { unique: true });
 
-// Update reaction counts on save
-reactionSchema.post('save', async function() {
-  await this.updateReactionCounts();
-});
+// Model backing each target type
+const TARGET_MODELS = {
+  post: 'Post',
+  comment: 'Comment',
+  story: 'Story',
+  message: 'Message'
+};
 
-reactionSchema.post('remove', async function() {
-  await this.updateReactionCounts();
-});
+// Recompute a target's reactionSummary (count per type, top three types).
+// Reactions are the source of truth; the summary is only a read-side copy.
+reactionSchema.statics.refreshSummary = async function(targetType, targetId) {
+  const groups = await this.aggregate([
+    {
+      $match: {
+        targetType,
+        targetId: new mongoose.Types.ObjectId(targetId.toString())
+      }
+    },
+    { $group: { _id: '$reactionType', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ]);
 
-reactionSchema.methods.updateReactionCounts = async function() {
-  const Reaction = mongoose.model('Reaction');
-  
-  // Get all reactions for this target
-  const reactions = await Reaction.find({
-    targetType: this.targetType,
-    targetId: this.targetId
-  });
+  const counts = Object.fromEntries(groups.map(group => [group._id, group.count]));
+  const summary = {
+    counts,
+    total: groups.reduce((sum, group) => sum + group.count, 0),
+    topTypes: groups.slice(0, 3).map(group => group._id)
+  };
 
-  // Count by reaction type
-  const reactionCounts = reactions.reduce((acc, reaction) => {
-    acc[reaction.reactionType] = (acc[reaction.reactionType] || 0) + 1;
-    return acc;
-  }, {});
+  const Model = mongoose.model(TARGET_MODELS[targetType]);
+  const update = { reactionSummary: summary };
 
-  // Update the target document
-  const modelName = this.targetType.charAt(0).toUpperCase() + this.targetType.slice(1);
-  const Model = mongoose.model(modelName);
-  
-  await Model.findByIdAndUpdate(this.targetId, {
-    reactionCounts,
-    totalReactions: reactions.length,
-    lastReactionAt: new Date()
-  });
+  // Comment sorting reads likeCount/controversyScore, so keep them in step
+  if (targetType === 'comment') {
+    Object.assign(update, Model.reactionStats(counts));
+  }
+
+  await Model.updateOne({ _id: targetId }, update);
+
+  return summary;
 };
 
 export default mongoose.model('Reaction', reactionSchema);
\ No newline at end of file
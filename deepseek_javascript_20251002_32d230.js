@@ -1,6 +1,7 @@
 // services/analyticsService.js
 import mongoose from 'mongoose';
-import { Post, User, Like, Comment, Follow } from '../models/User.js';
+import { Post, User, Like, Comment } from '../models/User.js';
+import Relationship from '../models/Relationship.js';
 
 export class AnalyticsService {
   constructor() {
@@ -179,8 +180,8 @@ export class AnalyticsService {
             $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
           },
           posts: { $sum: 1 },
-          likes: { $sum: { $size: '$likes' } },
-          comments: { $sum: { $size: '$comments' } },
+          likes: { $sum: { $ifNull: ['$reactionSummary.total', 0] } },
+          comments: { $sum: { $ifNull: ['$commentCount', 0] } },
           shares: { $sum: { $size: '$shares' } }
         }
       },
@@ -205,10 +206,10 @@ export class AnalyticsService {
     if (posts.length === 0) return 0;
 
     const totalEngagement = posts.reduce((sum, post) => 
-      sum + post.likes.length + post.comments.length, 0
+      sum + (post.reactionSummary?.total || 0) + post.commentCount, 0
     );
 
-    const followers = await Follow.countDocuments({ following: userId });
+    const followers = await Relationship.countDocuments({ following: userId, status: 'accepted' });
     
     return followers > 0 ? (totalEngagement / followers) * 100 : 0;
   }
@@ -225,8 +226,8 @@ export class AnalyticsService {
         $addFields: {
           engagementScore: {
             $add: [
-              { $size: '$likes' },
-              { $multiply: [{ $size: '$comments' }, 2] },
+              { $ifNull: ['$reactionSummary.total', 0] },
+              { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] },
               { $multiply: [{ $size: '$shares' }, 3] }
             ]
           }
@@ -243,8 +244,8 @@ export class AnalyticsService {
           content: 1,
           image: 1,
           engagementScore: 1,
-          likes: { $size: '$likes' },
-          comments: { $size: '$comments' },
+          likes: { $ifNull: ['$reactionSummary.total', 0] },
+          comments: { $ifNull: ['$commentCount', 0] },
           shares: { $size: '$shares' }
         }
       }
@@ -263,8 +264,8 @@ export class AnalyticsService {
         $addFields: {
           engagementScore: {
             $add: [
-              { $size: '$likes' },
-              { $multiply: [{ $size: '$comments' }, 2] },
+              { $ifNull: ['$reactionSummary.total', 0] },
+              { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] },
               { $multiply: [{ $size: '$shares' }, 3] }
             ]
           }
@@ -0,0 +1,160 @@
+// routes/conversations.js
+import express from 'express';
+import multer from 'multer';
+import { authMiddleware } from '../middleware/auth.js';
+import { getPaginationParams } from '../utils/pagination.js';
+import { ConversationService } from '../services/conversationService.js';
+import { GroupChatService } from '../services/groupChatService.js';
+
+const router = express.Router();
+const conversationService = new ConversationService();
+const groupChatService = new GroupChatService();
+
+const upload = multer({
+  dest: 'uploads/tmp',
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images are allowed.'));
+    }
+  }
+});
+
+// Group admin routes all answer with the updated conversation and the system message
+const sendGroupResult = (res, result) => {
+  if (result.error) {
+    return res.status(result.status).json({ message: result.error });
+  }
+
+  res.json({ conversation: result.conversation, systemMessage: result.message });
+};
+
+// Current user's conversations, most recently active first
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query, { defaultLimit: 20, maxLimit: 50 });
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    res.json(await conversationService.listConversations(req.user.id, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Start a conversation ({ participantIds, groupName })
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const result = await conversationService.createConversation(req.user.id, req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    // An existing 1:1 conversation is returned rather than duplicated
+    res.status(result.created ? 201 : 200).json(result.conversation);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Message history, newest first; pass nextCursor back to load older messages
+router.get('/:id/messages', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query, { defaultLimit: 30, maxLimit: 100 });
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const result = await conversationService.getMessages(req.user.id, req.params.id, { cursor, limit });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename the group and/or restrict posting to admins ({ groupName, onlyAdminsCanPost })
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const { groupName, onlyAdminsCanPost } = req.body;
+
+    sendGroupResult(res, await groupChatService.update(req.user.id, req.params.id, {
+      groupName,
+      onlyAdminsCanPost
+    }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Change the group photo (multipart field `photo`)
+router.put('/:id/photo', authMiddleware, upload.single('photo'), async (req, res) => {
+  try {
+    sendGroupResult(res, await groupChatService.changePhoto(req.user.id, req.params.id, req.file));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add participants ({ userIds })
+router.post('/:id/participants', authMiddleware, async (req, res) => {
+  try {
+    sendGroupResult(res, await groupChatService.addParticipants(req.user.id, req.params.id, req.body.userIds));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a participant
+router.delete('/:id/participants/:userId', authMiddleware, async (req, res) => {
+  try {
+    sendGroupResult(res, await groupChatService.removeParticipant(req.user.id, req.params.id, req.params.userId));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Promote a participant to admin
+router.post('/:id/admins/:userId', authMiddleware, async (req, res) => {
+  try {
+    sendGroupResult(res, await groupChatService.setAdmin(req.user.id, req.params.id, req.params.userId, true));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Demote an admin
+router.delete('/:id/admins/:userId', authMiddleware, async (req, res) => {
+  try {
+    sendGroupResult(res, await groupChatService.setAdmin(req.user.id, req.params.id, req.params.userId, false));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Leave the group
+router.post('/:id/leave', authMiddleware, async (req, res) => {
+  try {
+    const result = await groupChatService.leave(req.user.id, req.params.id);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Left the group' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -58,23 +58,14 @@ const commentSchema = new mongoose.Schema({
     ref: 'User'
   }],
   
-  // Reactions on comment
-  reactions: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    type: {
-      type: String,
-      enum: ['like', 'love', 'haha', 'wow', 'sad', 'angry']
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Reactions live in the Reaction collection; this is their denormalized summary
+  reactionSummary: {
+    counts: { type: Map, of: Number, default: {} },
+    total: { type: Number, default: 0 },
+    topTypes: [String]
+  },
   
-  // Engagement metrics
+  // Engagement metrics (likeCount is the reaction total, kept for sorting)
   likeCount: {
     type: Number,
     default: 0
@@ -83,6 +74,11 @@ const commentSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // High when reactions are numerous and split evenly between positive and negative
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
   
   // Moderation
   isEdited: {
@@ -94,6 +90,18 @@ const commentSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  hiddenReason: {
+    type: String,
+    enum: ['owner', 'keyword_filter']
+  },
+  hiddenAt: Date,
+  
+  // One comment per target can be pinned by the target's owner
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedAt: Date,
   
   // Timestamps
   createdAt: {
@@ -109,7 +117,13 @@ const commentSchema = new mongoose.Schema({
 // Indexes for performance
 commentSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1 });
+commentSchema.index({ targetType: 1, targetId: 1, parentComment: 1, likeCount: -1 });
+commentSchema.index({ targetType: 1, targetId: 1, parentComment: 1, controversyScore: -1 });
 commentSchema.index({ user: 1, createdAt: -1 });
+commentSchema.index(
+  { targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { isPinned: true } }
+);
 
 // Update reply count when replies are added/removed
 commentSchema.methods.updateReplyCount = async function() {
@@ -119,6 +133,28 @@ commentSchema.methods.updateReplyCount = async function() {
   await this.save();
 };
 
+// Reactions that count against a comment when scoring controversy
+const NEGATIVE_REACTIONS = ['sad', 'angry'];
+
+// magnitude ^ balance: 50 likes vs 50 angry beats 500 likes vs 1 angry
+commentSchema.statics.controversyScore = function(positive, negative) {
+  if (positive === 0 || negative === 0) return 0;
+
+  const balance = Math.min(positive, negative) / Math.max(positive, negative);
+  return Math.pow(positive + negative, balance);
+};
+
+// Sort fields derived from a reactionSummary's per-type counts
+commentSchema.statics.reactionStats = function(counts) {
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  const negative = NEGATIVE_REACTIONS.reduce((sum, type) => sum + (counts[type] || 0), 0);
+
+  return {
+    likeCount: total,
+    controversyScore: this.controversyScore(total - negative, negative)
+  };
+};
+
 // Virtual for thread (comment + all replies)
 commentSchema.virtual('thread').get(function() {
   return {
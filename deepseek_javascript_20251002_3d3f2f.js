@@ -1,7 +1,8 @@
 // services/recommendationEngine.js
 import tf from '@tensorflow/tfjs';
 import natural from 'natural';
-import { User, Post, Like, Follow } from '../models/User.js';
+import { User, Post, Like } from '../models/User.js';
+import Relationship from '../models/Relationship.js';
 
 export class RecommendationEngine {
   constructor() {
@@ -71,8 +72,8 @@ export class RecommendationEngine {
         $addFields: {
           engagementScore: {
             $add: [
-              { $size: '$likes' },
-              { $multiply: [{ $size: '$comments' }, 2] }
+              { $ifNull: ['$reactionSummary.total', 0] },
+              { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] }
             ]
           },
           recencyScore: {
@@ -137,8 +138,8 @@ export class RecommendationEngine {
           engagementRate: {
             $divide: [
               { $add: [
-                { $size: '$likes' },
-                { $multiply: [{ $size: '$comments' }, 2] },
+                { $ifNull: ['$reactionSummary.total', 0] },
+                { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] },
                 { $size: '$shares' }
               ]},
               { $add: [1, { $size: '$views' }] }
@@ -253,9 +254,10 @@ export class RecommendationEngine {
     });
 
     // Boost score for posts from followed users
-    const isFollowing = await Follow.exists({
+    const isFollowing = await Relationship.exists({
       follower: post.user._id,
-      following: post.user._id
+      following: post.user._id,
+      status: 'accepted'
     });
 
     if (isFollowing) {
@@ -300,8 +302,8 @@ export class RecommendationEngine {
 
   // Helper methods
   async getCommonFollows(userA, userB) {
-    const followsA = await Follow.find({ follower: userA }).select('following');
-    const followsB = await Follow.find({ follower: userB }).select('following');
+    const followsA = await Relationship.find({ follower: userA, status: 'accepted' }).select('following');
+    const followsB = await Relationship.find({ follower: userB, status: 'accepted' }).select('following');
     
     const setA = new Set(followsA.map(f => f.following.toString()));
     const setB = new Set(followsB.map(f => f.following.toString()));
@@ -320,7 +322,7 @@ export class RecommendationEngine {
   }
 
   async getFollowingCount(userId) {
-    return Follow.countDocuments({ follower: userId });
+    return Relationship.countDocuments({ follower: userId, status: 'accepted' });
   }
 
   async getUserEngagementStats(userId) {
@@ -2,71 +2,136 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import Relationship from '../models/Relationship.js';
-import User from '../models/User.js';
 import Notification from '../models/Notification.js';
+import { getPaginationParams } from '../utils/pagination.js';
+import { BlockService } from '../services/blockService.js';
+import { FollowService } from '../services/followService.js';
+import { AudienceService } from '../services/audienceService.js';
 
 const router = express.Router();
+const blockService = new BlockService();
+const followService = new FollowService();
+const audienceService = new AudienceService();
 
-// Follow user
-router.post('/:userId/follow', authMiddleware, async (req, res) => {
+// Current user's close friends
+router.get('/close-friends', authMiddleware, async (req, res) => {
   try {
-    const targetUserId = req.params.userId;
-    const currentUserId = req.user.id;
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query);
 
-    if (targetUserId === currentUserId) {
-      return res.status(400).json({ message: 'Cannot follow yourself' });
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
 
-    const targetUser = await User.findById(targetUserId);
-    if (!targetUser) {
-      return res.status(404).json({ message: 'User not found' });
+    res.json(await audienceService.listCloseFriends(req.user.id, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add close friends in bulk ({ userIds }); only followed accounts are added
+router.post('/close-friends', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.setCloseFriends(req.user.id, req.body.userIds, true);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    // Check if relationship already exists
-    let relationship = await Relationship.findOne({
-      follower: currentUserId,
-      following: targetUserId
-    });
+    res.json({ added: result.updated, skipped: result.skipped });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (relationship) {
-      if (relationship.status === 'blocked') {
-        return res.status(400).json({ message: 'Cannot follow this user' });
-      }
-      
-      if (relationship.status === 'accepted') {
-        return res.status(400).json({ message: 'Already following this user' });
-      }
-    } else {
-      // Create new relationship
-      relationship = new Relationship({
-        follower: currentUserId,
-        following: targetUserId,
-        status: targetUser.isPrivate ? 'pending' : 'accepted'
-      });
-
-      await relationship.save();
+// Remove close friends in bulk ({ userIds })
+router.delete('/close-friends', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.setCloseFriends(req.user.id, req.body.userIds, false);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ removed: result.updated, skipped: result.skipped });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow requests waiting for the current user's answer
+router.get('/requests/incoming', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
 
-    // Create notification for target user
-    if (relationship.status === 'pending') {
-      await Notification.create({
-        user: targetUserId,
-        type: 'follow_request',
-        fromUser: currentUserId,
-        message: `${req.user.name} wants to follow you`
-      });
-    } else {
-      await Notification.create({
-        user: targetUserId,
-        type: 'follow',
-        fromUser: currentUserId,
-        message: `${req.user.name} started following you`
-      });
+    res.json(await followService.listIncoming(req.user.id, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow requests the current user has sent
+router.get('/requests/outgoing', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    res.json(await followService.listOutgoing(req.user.id, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accounts the current user has blocked
+router.get('/blocked', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    res.json(await blockService.listBlocked(req.user.id, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Accounts the current user has muted
+router.get('/muted', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    res.json(await blockService.listMuted(req.user.id, { cursor, limit }));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Follow user (private accounts get a request instead)
+router.post('/:userId/follow', authMiddleware, async (req, res) => {
+  try {
+    const result = await followService.follow(req.user, req.params.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
+    const { status } = result.relationship;
+
     res.json({
-      status: relationship.status,
-      message: relationship.status === 'pending' 
+      status,
+      message: status === 'pending' 
         ? 'Follow request sent' 
         : 'Successfully followed user'
     });
@@ -79,53 +144,49 @@ router.post('/:userId/follow', authMiddleware, async (req, res) => {
 // Accept follow request
 router.post('/:userId/accept', authMiddleware, async (req, res) => {
   try {
-    const followerId = req.params.userId;
-    
-    const relationship = await Relationship.findOneAndUpdate(
-      {
-        follower: followerId,
-        following: req.user.id,
-        status: 'pending'
-      },
-      { 
-        status: 'accepted',
-        updatedAt: new Date()
-      },
-      { new: true }
-    );
+    const result = await followService.accept(req.user, req.params.userId);
 
-    if (!relationship) {
-      return res.status(404).json({ message: 'Follow request not found' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    // Create acceptance notification
-    await Notification.create({
-      user: followerId,
-      type: 'follow_accept',
-      fromUser: req.user.id,
-      message: `${req.user.name} accepted your follow request`
-    });
+    res.json({ message: 'Follow request accepted', relationship: result.relationship });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ message: 'Follow request accepted', relationship });
+// Decline follow request
+router.post('/:userId/decline', authMiddleware, async (req, res) => {
+  try {
+    const result = await followService.decline(req.user.id, req.params.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Follow request declined' });
 
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Unfollow user
+// Unfollow user (also withdraws a pending request)
 router.post('/:userId/unfollow', authMiddleware, async (req, res) => {
   try {
-    const relationship = await Relationship.findOneAndDelete({
-      follower: req.user.id,
-      following: req.params.userId
-    });
+    const result = await followService.unfollow(req.user.id, req.params.userId);
 
-    if (!relationship) {
-      return res.status(400).json({ message: 'Not following this user' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    res.json({ message: 'Successfully unfollowed user' });
+    res.json({
+      message: result.relationship.status === 'pending'
+        ? 'Follow request withdrawn'
+        : 'Successfully unfollowed user'
+    });
 
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -272,6 +333,7 @@ router.get('/:userId/relationships', authMiddleware, async (req, res) => {
         isFollowing: currentRelationship?.status === 'accepted',
         isFriend: currentRelationship?.isFriend,
         status: currentRelationship?.status,
+        isMuted: Boolean(currentRelationship?.isMuted),
         isCloseFriend: currentRelationship?.isCloseFriend
       }
     });
@@ -284,26 +346,24 @@ router.get('/:userId/relationships', authMiddleware, async (req, res) => {
 // Toggle close friends
 router.post('/:userId/close-friend', authMiddleware, async (req, res) => {
   try {
-    const relationship = await Relationship.findOneAndUpdate(
-      {
-        follower: req.user.id,
-        following: req.params.userId,
-        status: 'accepted'
-      },
-      { 
-        isCloseFriend: req.body.isCloseFriend,
-        updatedAt: new Date()
-      },
-      { new: true }
+    const isCloseFriend = Boolean(req.body.isCloseFriend);
+    const result = await audienceService.setCloseFriends(
+      req.user.id,
+      [req.params.userId],
+      isCloseFriend
     );
 
-    if (!relationship) {
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    if (result.updated.length === 0) {
       return res.status(404).json({ message: 'Relationship not found' });
     }
 
     res.json({ 
-      isCloseFriend: relationship.isCloseFriend,
-      message: relationship.isCloseFriend 
+      isCloseFriend,
+      message: isCloseFriend 
         ? 'Added to close friends' 
         : 'Removed from close friends'
     });
@@ -311,4 +371,66 @@ router.post('/:userId/close-friend', authMiddleware, async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
-});
\ No newline at end of file
+});
+
+// Block user (removes follows in both directions)
+router.post('/:userId/block', authMiddleware, async (req, res) => {
+  try {
+    const result = await blockService.block(req.user.id, req.params.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'User blocked', blocked: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unblock user
+router.delete('/:userId/block', authMiddleware, async (req, res) => {
+  try {
+    const result = await blockService.unblock(req.user.id, req.params.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'User unblocked', blocked: false });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Mute user: keep following, stop seeing their posts and stories
+router.post('/:userId/mute', authMiddleware, async (req, res) => {
+  try {
+    const result = await blockService.setMuted(req.user.id, req.params.userId, true);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'User muted', muted: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unmute user
+router.delete('/:userId/mute', authMiddleware, async (req, res) => {
+  try {
+    const result = await blockService.setMuted(req.user.id, req.params.userId, false);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'User unmuted', muted: false });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,79 @@
+// services/postPublishingService.js
+import Post from '../models/Post.js';
+import cache from '../redis/cache.js';
+import { HashtagService } from './hashtagService.js';
+import { TaggingService } from './taggingService.js';
+
+export class PostPublishingService {
+  constructor() {
+    this.hashtagService = new HashtagService();
+    this.taggingService = new TaggingService();
+    this.batchSize = 50;
+  }
+
+  // Publish a draft or scheduled post.
+  // The status flip is atomic, so a post is only ever published (and processed) once.
+  async publish(filter) {
+    const now = new Date();
+
+    // A poll keeps its full length from now: its deadline moves by however far
+    // publishing is from the planned start (the schedule, or the draft's last save)
+    const plannedStart = { $ifNull: ['$scheduledAt', { $ifNull: ['$updatedAt', '$createdAt'] }] };
+
+    const post = await Post.findOneAndUpdate(
+      { status: { $in: ['draft', 'scheduled'] }, ...filter },
+      [
+        {
+          $set: {
+            status: 'published',
+            publishedAt: now,
+            createdAt: now, // Feeds and cursors order by createdAt
+            updatedAt: now,
+            'poll.expiresAt': {
+              $cond: [
+                { $eq: ['$postType', 'poll'] },
+                { $add: [now, { $subtract: ['$poll.expiresAt', plannedStart] }] },
+                '$poll.expiresAt'
+              ]
+            }
+          }
+        },
+        { $unset: 'scheduledAt' }
+      ],
+      { new: true }
+    );
+
+    if (!post) return null;
+
+    await this.runPublishHooks(post);
+    return post;
+  }
+
+  // Hashtag stats, tags and mention notifications only happen once a post is live
+  async runPublishHooks(post) {
+    try {
+      await this.hashtagService.processHashtags(post.content, 'post', post._id);
+      await this.taggingService.processContentTags(post.content, 'post', post._id, post.user);
+      await cache.invalidateUserCache(post.user);
+    } catch (error) {
+      console.error('Error processing published post:', post._id, error);
+    }
+  }
+
+  // Publish every scheduled post that is due
+  async publishDuePosts() {
+    const published = [];
+
+    while (published.length < this.batchSize) {
+      const post = await this.publish({
+        status: 'scheduled',
+        scheduledAt: { $lte: new Date() }
+      });
+
+      if (!post) break;
+      published.push(post);
+    }
+
+    return published;
+  }
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+// scripts/migrateFollows.js
+// Moves the legacy Follow collection into Relationship, then recounts followers
+// and following for every user involved.
+// A Follow becomes an accepted Relationship; a pending request between the same
+// pair is treated as already approved, since the old follow never needed approval.
+// Pairs with a block in either direction are skipped.
+// Safe to re-run. The follows collection is left in place; drop it once verified.
+import mongoose from 'mongoose';
+import User, { Follow } from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+
+const BATCH_SIZE = 100;
+
+async function isBlockedPair(followerId, followingId) {
+  return Boolean(await Relationship.exists({
+    status: 'blocked',
+    $or: [
+      { follower: followerId, following: followingId },
+      { follower: followingId, following: followerId }
+    ]
+  }));
+}
+
+async function migrateFollow(follow) {
+  if (await isBlockedPair(follow.follower, follow.following)) return false;
+
+  const createdAt = follow.createdAt || new Date();
+
+  // updateOne skips the save hook; counts are rebuilt once at the end
+  await Relationship.updateOne(
+    { follower: follow.follower, following: follow.following },
+    {
+      $set: { status: 'accepted' },
+      $setOnInsert: { createdAt, updatedAt: createdAt }
+    },
+    { upsert: true }
+  );
+
+  return true;
+}
+
+async function recount(userId) {
+  const [followersCount, followingCount] = await Promise.all([
+    Relationship.countDocuments({ following: userId, status: 'accepted' }),
+    Relationship.countDocuments({ follower: userId, status: 'accepted' })
+  ]);
+
+  await User.updateOne({ _id: userId }, { followersCount, followingCount });
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/peoplelink');
+
+  const cursor = Follow.find().lean().cursor({ batchSize: BATCH_SIZE });
+  const touched = new Set();
+  let processed = 0;
+  let skipped = 0;
+
+  for await (const follow of cursor) {
+    if (await migrateFollow(follow)) {
+      touched.add(follow.follower.toString());
+      touched.add(follow.following.toString());
+    } else {
+      skipped += 1;
+    }
+
+    processed += 1;
+    if (processed % BATCH_SIZE === 0) {
+      console.log(`Processed ${processed} follows (${skipped} skipped for blocks)`);
+    }
+  }
+
+  for (const userId of touched) {
+    await recount(userId);
+  }
+
+  console.log(`Done: ${processed} follows processed, ${skipped} skipped, ${touched.size} users recounted`);
+}
+
+run()
+  .catch(error => {
+    console.error('Follow migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
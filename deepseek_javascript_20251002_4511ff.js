@@ -25,14 +25,24 @@ const relationshipSchema = new mongoose.Schema({
   isFriend: { type: Boolean, default: false },
   friendshipDate: { type: Date },
   
-  // Close friends feature (like Instagram)
+  // Close friends feature (like Instagram). Set on the owner's row:
+  // follower = owner, following = the close friend.
   isCloseFriend: { type: Boolean, default: false },
+  closeFriendAt: { type: Date },
   
   // Privacy settings for this relationship
   canSeePosts: { type: Boolean, default: true },
   canSeeStories: { type: Boolean, default: true },
   canMessage: { type: Boolean, default: true },
   
+  // Block: status 'blocked' on the blocker's row (follower = blocker).
+  // BlockService treats it as applying in both directions.
+  blockedAt: { type: Date },
+  
+  // Mute hides the followed account's posts and stories without unfollowing
+  isMuted: { type: Boolean, default: false },
+  mutedAt: { type: Date },
+  
   // Metadata
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
@@ -40,6 +50,9 @@ const relationshipSchema = new mongoose.Schema({
 
 // Compound index for unique relationships
 relationshipSchema.index({ follower: 1, following: 1 }, { unique: true });
+relationshipSchema.index({ following: 1, status: 1 });
+relationshipSchema.index({ follower: 1, isMuted: 1 });
+relationshipSchema.index({ following: 1, isCloseFriend: 1 });
 
 // Update user counts when relationship changes
 relationshipSchema.post('save', async function() {
@@ -0,0 +1,269 @@
+// routes/collections.js
+import express from 'express';
+import mongoose from 'mongoose';
+import { authMiddleware } from '../middleware/auth.js';
+import SavedCollection from '../models/SavedCollection.js';
+import SavedPost from '../models/SavedPost.js';
+import { FeedService } from '../services/feedService.js';
+
+const router = express.Router();
+const feedService = new FeedService();
+
+// Get current user's collections
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const collections = await SavedCollection.find({ user: req.user.id })
+      .sort({ order: 1, createdAt: 1 });
+
+    res.json(collections.map(collection => ({
+      _id: collection._id,
+      name: collection.name,
+      isPrivate: collection.isPrivate,
+      order: collection.order,
+      postsCount: collection.posts.length,
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    })));
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create collection
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { name, isPrivate } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ message: 'Collection name is required' });
+    }
+
+    const count = await SavedCollection.countDocuments({ user: req.user.id });
+
+    const collection = new SavedCollection({
+      user: req.user.id,
+      name,
+      isPrivate: isPrivate !== undefined ? isPrivate : true,
+      order: count
+    });
+
+    await collection.save();
+
+    res.status(201).json(collection);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reorder collections
+router.put('/reorder', authMiddleware, async (req, res) => {
+  try {
+    const { collectionIds } = req.body;
+
+    if (!Array.isArray(collectionIds)) {
+      return res.status(400).json({ message: 'collectionIds must be an array' });
+    }
+
+    const owned = await SavedCollection.countDocuments({
+      _id: { $in: collectionIds },
+      user: req.user.id
+    });
+
+    if (owned !== collectionIds.length) {
+      return res.status(400).json({ message: 'Unknown collection in order' });
+    }
+
+    await SavedCollection.bulkWrite(collectionIds.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id, user: req.user.id },
+        update: { order: index, updatedAt: new Date() }
+      }
+    })));
+
+    res.json({ message: 'Collections reordered' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get collection with its posts
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const collection = await SavedCollection.findById(req.params.id)
+      .populate({
+        path: 'posts',
+        populate: { path: 'user', select: 'name username avatar isVerified' }
+      });
+
+    const isOwner = collection && collection.user.toString() === req.user.id;
+
+    if (!collection || (collection.isPrivate && !isOwner)) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    // Hide posts that were deleted or are no longer visible to the saver
+    let posts = await feedService.filterVisiblePosts(collection.posts, collection.user);
+
+    // Shared collections must not reveal anything the viewer couldn't see either
+    if (!isOwner) {
+      posts = await feedService.filterVisiblePosts(posts, req.user.id);
+    }
+
+    res.json({
+      _id: collection._id,
+      name: collection.name,
+      isPrivate: collection.isPrivate,
+      order: collection.order,
+      posts: await feedService.presentPosts(posts, req.user.id),
+      createdAt: collection.createdAt,
+      updatedAt: collection.updatedAt
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename collection or change its privacy
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const { name, isPrivate } = req.body;
+
+    const updateData = { updatedAt: new Date() };
+    if (name !== undefined) {
+      if (!name.trim()) {
+        return res.status(400).json({ message: 'Collection name is required' });
+      }
+      updateData.name = name;
+    }
+    if (typeof isPrivate !== 'undefined') updateData.isPrivate = isPrivate;
+
+    const collection = await SavedCollection.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json(collection);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete collection (posts stay saved)
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const collection = await SavedCollection.findOneAndDelete({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json({ message: 'Collection deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a post to a collection (saves it if needed)
+router.post('/:id/items', authMiddleware, async (req, res) => {
+  try {
+    const { postId } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(postId)) {
+      return res.status(400).json({ message: 'Invalid post' });
+    }
+
+    const post = await mongoose.model('Post').findById(postId);
+    if (!post || !await feedService.canViewPost(post, req.user.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
+    const collection = await SavedCollection.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $addToSet: { posts: post._id }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    await SavedPost.updateOne(
+      { user: req.user.id, post: post._id },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+
+    res.json({ message: 'Added to collection', collection });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Move a post from one collection to another
+router.post('/:id/items/:postId/move', authMiddleware, async (req, res) => {
+  try {
+    const { targetCollectionId } = req.body;
+    const { id, postId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(targetCollectionId) || targetCollectionId === id) {
+      return res.status(400).json({ message: 'Invalid target collection' });
+    }
+
+    const [source, target] = await Promise.all([
+      SavedCollection.findOne({ _id: id, user: req.user.id, posts: postId }),
+      SavedCollection.findOne({ _id: targetCollectionId, user: req.user.id })
+    ]);
+
+    if (!source) {
+      return res.status(404).json({ message: 'Post not found in collection' });
+    }
+
+    if (!target) {
+      return res.status(404).json({ message: 'Target collection not found' });
+    }
+
+    await Promise.all([
+      SavedCollection.updateOne(
+        { _id: source._id },
+        { $pull: { posts: postId }, updatedAt: new Date() }
+      ),
+      SavedCollection.updateOne(
+        { _id: target._id },
+        { $addToSet: { posts: postId }, updatedAt: new Date() }
+      )
+    ]);
+
+    res.json({ message: 'Post moved', from: source._id, to: target._id });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a post from a collection (it stays saved)
+router.delete('/:id/items/:postId', authMiddleware, async (req, res) => {
+  try {
+    const collection = await SavedCollection.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $pull: { posts: req.params.postId }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!collection) {
+      return res.status(404).json({ message: 'Collection not found' });
+    }
+
+    res.json({ message: 'Removed from collection', collection });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
\ No newline at end of file
@@ -2,81 +2,194 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import Comment from '../models/Comment.js';
-import Post from '../models/Post.js';
-import Notification from '../models/Notification.js';
+import { getPaginationParams, applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { CommentService } from '../services/commentService.js';
+import { ReactionService } from '../services/reactionService.js';
 
 const router = express.Router();
+const commentService = new CommentService();
+const reactionService = new ReactionService();
 
-// Add comment
-router.post('/:targetType/:targetId', authMiddleware, async (req, res) => {
+// Per-comment routes come first so '/:commentId/<action>' isn't read as
+// '/:targetType/:targetId'
+
+// Like/Unlike comment
+router.post('/:commentId/like', authMiddleware, async (req, res) => {
   try {
-    const { targetType, targetId } = req.params;
-    const { content, parentCommentId, media } = req.body;
+    const result = await reactionService.toggleReaction({
+      targetType: 'comment',
+      targetId: req.params.commentId,
+      userId: req.user.id
+    });
 
-    // Validate target exists
-    const target = await validateTarget(targetType, targetId);
-    if (!target) {
-      return res.status(404).json({ message: 'Target not found' });
+    if (result.error) {
+      return res.status(result.status).json({
+        message: result.status === 404 ? 'Comment not found' : result.error
+      });
     }
 
-    // Extract mentions from content
-    const mentionRegex = /@(\w+)/g;
-    const mentions = [];
-    let match;
-    
-    while ((match = mentionRegex.exec(content)) !== null) {
-      const username = match[1];
-      const user = await User.findOne({ username });
-      if (user) {
-        mentions.push(user._id);
-      }
+    res.json({ 
+      liked: result.reacted,
+      likeCount: result.summary.total,
+      reactionSummary: result.summary
+    });
+
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Hide comment (owner of the post/story only)
+router.post('/:commentId/hide', authMiddleware, async (req, res) => {
+  try {
+    const comment = await commentService.findModeratableComment(req.params.commentId, req.user.id);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
     }
 
-    // Calculate depth for nested replies
-    let depth = 0;
-    let parentComment = null;
-
-    if (parentCommentId) {
-      parentComment = await Comment.findById(parentCommentId);
-      if (parentComment) {
-        depth = parentComment.depth + 1;
-        
-        // Limit reply depth to prevent infinite nesting
-        if (depth > 5) {
-          return res.status(400).json({ message: 'Maximum reply depth reached' });
-        }
-      }
+    await commentService.setHidden(comment, true);
+
+    res.json({ hidden: true, comment });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unhide comment (also releases keyword-filtered comments)
+router.post('/:commentId/unhide', authMiddleware, async (req, res) => {
+  try {
+    const comment = await commentService.findModeratableComment(req.params.commentId, req.user.id);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    await commentService.setHidden(comment, false);
+
+    res.json({ hidden: false, comment });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Pin comment to the top of its target's comments (replaces any existing pin)
+router.post('/:commentId/pin', authMiddleware, async (req, res) => {
+  try {
+    const comment = await commentService.findModeratableComment(req.params.commentId, req.user.id);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const result = await commentService.pinComment(comment);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    // Create comment
-    const comment = new Comment({
+    res.json({ pinned: true, comment: result.comment });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Unpin comment
+router.delete('/:commentId/pin', authMiddleware, async (req, res) => {
+  try {
+    const comment = await commentService.findModeratableComment(req.params.commentId, req.user.id);
+
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    await commentService.unpinComment(comment);
+
+    res.json({ pinned: false, comment });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add comment
+router.post('/:targetType/:targetId', authMiddleware, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { content, parentCommentId, media } = req.body;
+
+    const result = await commentService.createComment({
       targetType,
       targetId,
-      user: req.user.id,
+      userId: req.user.id,
       content,
-      media,
-      parentComment: parentCommentId,
-      depth,
-      mentions
+      parentCommentId,
+      media
     });
 
-    await comment.save();
-    await comment.populate('user', 'name username avatar isVerified');
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.status(201).json(result.comment);
 
-    // Update parent comment's replies if this is a reply
-    if (parentComment) {
-      parentComment.replies.push(comment._id);
-      await parentComment.updateReplyCount();
-      await parentComment.save();
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get comment replies
+router.get('/:commentId/replies', authMiddleware, async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
 
-    // Update target's comment count
-    await updateTargetCommentCount(targetType, targetId);
+    const parent = await Comment.findById(commentId);
+    const target = parent &&
+      await commentService.validateTarget(parent.targetType, parent.targetId, req.user.id);
 
-    // Create notifications
-    await createCommentNotifications(comment, target, parentComment, mentions);
+    if (!target) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    const query = {
+      parentComment: commentId,
+      ...await commentService.visibilityFilter(target, req.user.id)
+    };
+    const sortOptions = { field: 'createdAt', order: 1 }; // Oldest first for replies
+
+    const results = await Comment.find(applyCursor(query, cursor, sortOptions))
+      .populate('user', 'name username avatar isVerified')
+      .populate('mentions', 'name username')
+      .sort(cursorSort(sortOptions))
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items: replies, nextCursor, hasMore } = buildPage(results, limit);
+
+    if (cursor) {
+      return res.json({
+        replies,
+        pagination: { limit, nextCursor, hasMore }
+      });
+    }
 
-    res.status(201).json(comment);
+    const total = await Comment.countDocuments(query);
+
+    res.json({
+      replies,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+        nextCursor,
+        hasMore
+      }
+    });
 
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -88,47 +201,83 @@ router.get('/:targetType/:targetId', authMiddleware, async (req, res) => {
   try {
     const { targetType, targetId } = req.params;
     const { 
-      page = 1, 
-      limit = 20, 
       sort = 'newest',
       includeReplies = false 
     } = req.query;
 
-    const skip = (page - 1) * limit;
     let sortOptions = {};
 
     switch (sort) {
       case 'newest':
-        sortOptions = { createdAt: -1 };
+        sortOptions = { field: 'createdAt', order: -1 };
         break;
       case 'oldest':
-        sortOptions = { createdAt: 1 };
+        sortOptions = { field: 'createdAt', order: 1 };
         break;
       case 'popular':
-        sortOptions = { likeCount: -1, createdAt: -1 };
+        sortOptions = { field: 'likeCount', order: -1 };
         break;
       default:
-        sortOptions = { createdAt: -1 };
+        sortOptions = { field: 'createdAt', order: -1 };
     }
 
-    // Base query for top-level comments
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const target = await commentService.validateTarget(targetType, targetId, req.user.id);
+    if (!target) {
+      return res.status(404).json({ message: 'Target not found' });
+    }
+
+    const visibility = await commentService.visibilityFilter(target, req.user.id);
+
+    // Base query for top-level comments; the pinned one is listed separately
     let query = { 
       targetType, 
       targetId,
-      parentComment: null 
+      parentComment: null,
+      isPinned: { $ne: true },
+      ...visibility
     };
 
     if (includeReplies) {
       // Get all comments including replies
-      query = { targetType, targetId };
+      query = {
+        targetType,
+        targetId,
+        isPinned: { $ne: true },
+        ...visibility
+      };
     }
 
-    const comments = await Comment.find(query)
+    // Pinned comment leads the first page
+    const pinned = !cursor && page === 1
+      ? await Comment.findOne({
+        ...visibility,
+        targetType,
+        targetId,
+        isPinned: true,
+        isHidden: false
+      })
+        .populate('user', 'name username avatar isVerified')
+        .populate('mentions', 'name username')
+      : null;
+
+    const results = await Comment.find(applyCursor(query, cursor, sortOptions))
       .populate('user', 'name username avatar isVerified')
       .populate('mentions', 'name username')
-      .sort(sortOptions)
+      .sort(cursorSort(sortOptions))
       .skip(skip)
-      .limit(parseInt(limit));
+      .limit(limit + 1);
+
+    const { items: comments, nextCursor, hasMore } = buildPage(
+      results,
+      limit,
+      sortOptions.field
+    );
 
     // If including replies, we need to structure them as threads
     let structuredComments = comments;
@@ -136,15 +285,28 @@ router.get('/:targetType/:targetId', authMiddleware, async (req, res) => {
       structuredComments = await structureCommentsAsThreads(comments);
     }
 
+    if (pinned) {
+      structuredComments = [pinned, ...structuredComments];
+    }
+
+    if (cursor) {
+      return res.json({
+        comments: structuredComments,
+        pagination: { limit, nextCursor, hasMore }
+      });
+    }
+
     const total = await Comment.countDocuments(query);
 
     res.json({
       comments: structuredComments,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
+        page,
+        limit,
         total,
-        pages: Math.ceil(total / limit)
+        pages: Math.ceil(total / limit),
+        nextCursor,
+        hasMore
       }
     });
 
@@ -153,30 +315,74 @@ router.get('/:targetType/:targetId', authMiddleware, async (req, res) => {
   }
 });
 
-// Get comment replies
-router.get('/:commentId/replies', authMiddleware, async (req, res) => {
+// Get comment tree: top comments with their first replies nested.
+// `replies` caps children per comment, `depth` the reply levels to expand.
+// Pass a branch's `continuation` token to load more of its children in the same shape.
+router.get('/:targetType/:targetId/tree', authMiddleware, async (req, res) => {
   try {
-    const { commentId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { targetType, targetId } = req.params;
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query, {
+      defaultLimit: 20,
+      maxLimit: 50
+    });
+    const replyLimit = Math.min(Math.max(parseInt(req.query.replies) || 3, 1), 20);
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || 1, 0), 3);
 
-    const replies = await Comment.find({ parentComment: commentId })
-      .populate('user', 'name username avatar isVerified')
-      .populate('mentions', 'name username')
-      .sort({ createdAt: 1 }) // Oldest first for replies
-      .skip(skip)
-      .limit(parseInt(limit));
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
 
-    const total = await Comment.countDocuments({ parentComment: commentId });
+    let sort = req.query.sort || 'top';
+    let parentId = null;
+    let branchCursor = cursor;
 
-    res.json({
-      replies,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
+    if (req.query.continuation) {
+      const continuation = commentService.decodeContinuation(req.query.continuation);
+      if (!continuation) {
+        return res.status(400).json({ message: 'Invalid continuation token' });
       }
+
+      ({ parentId, sort, cursor: branchCursor } = continuation);
+    }
+
+    if (!commentService.treeSorts[sort]) {
+      return res.status(400).json({ message: 'sort must be top, newest or controversial' });
+    }
+
+    const target = await commentService.validateTarget(targetType, targetId, req.user.id);
+    if (!target) {
+      return res.status(404).json({ message: 'Target not found' });
+    }
+
+    if (parentId) {
+      const parentExists = await Comment.exists({ _id: parentId, targetType, targetId });
+      if (!parentExists) {
+        return res.status(404).json({ message: 'Comment not found' });
+      }
+    }
+
+    const tree = await commentService.getCommentTree(target, targetType, req.user.id, {
+      parentId,
+      cursor: branchCursor,
+      sort,
+      limit,
+      replyLimit,
+      depth
+    });
+
+    if (parentId) {
+      return res.json({
+        parentId,
+        sort,
+        comments: tree.comments,
+        continuation: tree.continuation
+      });
+    }
+
+    res.json({
+      sort,
+      comments: tree.comments,
+      pagination: { limit, nextCursor: tree.nextCursor, hasMore: tree.hasMore }
     });
 
   } catch (error) {
@@ -189,26 +395,16 @@ router.put('/:commentId', authMiddleware, async (req, res) => {
   try {
     const { content, media } = req.body;
 
-    const comment = await Comment.findOneAndUpdate(
-      { 
-        _id: req.params.commentId,
-        user: req.user.id // Only owner can edit
-      },
-      { 
-        content,
-        media,
-        isEdited: true,
-        editedAt: new Date(),
-        updatedAt: new Date()
-      },
-      { new: true }
-    ).populate('user', 'name username avatar isVerified');
+    const result = await commentService.editComment(req.params.commentId, req.user.id, {
+      content,
+      media
+    });
 
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    res.json(comment);
+    res.json(result.comment);
 
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -218,34 +414,18 @@ router.put('/:commentId', authMiddleware, async (req, res) => {
 // Delete comment
 router.delete('/:commentId', authMiddleware, async (req, res) => {
   try {
+    // Comment authors and the owner of the post/story can delete
     const comment = await Comment.findOne({
       _id: req.params.commentId,
       user: req.user.id
-    });
+    }) || await commentService.findModeratableComment(req.params.commentId, req.user.id);
 
     if (!comment) {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    // If it's a parent comment, also delete all replies
-    if (comment.parentComment === null) {
-      await Comment.deleteMany({ parentComment: comment._id });
-    } else {
-      // If it's a reply, remove from parent's replies array
-      const parentComment = await Comment.findById(comment.parentComment);
-      if (parentComment) {
-        parentComment.replies = parentComment.replies.filter(
-          replyId => replyId.toString() !== comment._id.toString()
-        );
-        await parentComment.updateReplyCount();
-        await parentComment.save();
-      }
-    }
-
-    await Comment.findByIdAndDelete(comment._id);
-
-    // Update target's comment count
-    await updateTargetCommentCount(comment.targetType, comment.targetId);
+    // Also deletes replies and updates the target's comment count
+    await commentService.deleteComment(comment);
 
     res.json({ message: 'Comment deleted successfully' });
 
@@ -254,126 +434,7 @@ router.delete('/:commentId', authMiddleware, async (req, res) => {
   }
 });
 
-// Like/Unlike comment
-router.post('/:commentId/like', authMiddleware, async (req, res) => {
-  try {
-    const comment = await Comment.findById(req.params.commentId);
-    
-    if (!comment) {
-      return res.status(404).json({ message: 'Comment not found' });
-    }
-
-    const existingLikeIndex = comment.reactions.findIndex(
-      reaction => reaction.user.toString() === req.user.id
-    );
-
-    if (existingLikeIndex > -1) {
-      // Unlike
-      comment.reactions.splice(existingLikeIndex, 1);
-    } else {
-      // Like
-      comment.reactions.push({
-        user: req.user.id,
-        type: 'like'
-      });
-    }
-
-    comment.likeCount = comment.reactions.length;
-    await comment.save();
-
-    // Create notification for comment owner
-    if (comment.user.toString() !== req.user.id && existingLikeIndex === -1) {
-      await Notification.create({
-        user: comment.user,
-        type: 'comment_like',
-        fromUser: req.user.id,
-        comment: comment._id,
-        message: `${req.user.name} liked your comment`
-      });
-    }
-
-    res.json({ 
-      liked: existingLikeIndex === -1,
-      likeCount: comment.likeCount 
-    });
-
-  } catch (error) {
-    res.status(500).json({ message: 'Server error' });
-  }
-});
-
 // Helper functions
-async function validateTarget(targetType, targetId) {
-  const models = {
-    post: Post,
-    story: mongoose.model('Story'),
-    video: mongoose.model('Video')
-  };
-
-  const Model = models[targetType];
-  if (!Model) return null;
-
-  return await Model.findById(targetId);
-}
-
-async function updateTargetCommentCount(targetType, targetId) {
-  const models = {
-    post: Post,
-    story: mongoose.model('Story'),
-    video: mongoose.model('Video')
-  };
-
-  const Model = models[targetType];
-  if (!Model) return;
-
-  const commentCount = await Comment.countDocuments({ targetType, targetId });
-  await Model.findByIdAndUpdate(targetId, { commentCount });
-}
-
-async function createCommentNotifications(comment, target, parentComment, mentions) {
-  const notifications = [];
-
-  // Notification to target owner (if not own content)
-  if (target.user.toString() !== comment.user.toString()) {
-    notifications.push({
-      user: target.user,
-      type: 'comment',
-      fromUser: comment.user,
-      [comment.targetType]: comment.targetId,
-      comment: comment._id,
-      message: `${comment.user.name} commented on your ${comment.targetType}`
-    });
-  }
-
-  // Notification to parent comment owner (if replying)
-  if (parentComment && parentComment.user.toString() !== comment.user.toString()) {
-    notifications.push({
-      user: parentComment.user,
-      type: 'comment_reply',
-      fromUser: comment.user,
-      comment: comment._id,
-      parentComment: parentComment._id,
-      message: `${comment.user.name} replied to your comment`
-    });
-  }
-
-  // Notifications to mentioned users
-  for (const mentionedUserId of mentions) {
-    if (mentionedUserId.toString() !== comment.user.toString()) {
-      notifications.push({
-        user: mentionedUserId,
-        type: 'mention',
-        fromUser: comment.user,
-        comment: comment._id,
-        message: `${comment.user.name} mentioned you in a comment`
-      });
-    }
-  }
-
-  // Create all notifications
-  await Notification.insertMany(notifications);
-}
-
 async function structureCommentsAsThreads(comments) {
   // Group comments by parent
   const commentMap = new Map();
@@ -11,12 +11,16 @@ const userSchema = new mongoose.Schema({
   coverPhoto: { type: String },
   isVerified: { type: Boolean, default: false },
   isPrivate: { type: Boolean, default: false },
+  role: { type: String, enum: ['user', 'admin'], default: 'user' },
   
   // Profile stats
   followersCount: { type: Number, default: 0 },
   followingCount: { type: Number, default: 0 },
   postsCount: { type: Number, default: 0 },
   
+  // Posts featured at the top of the profile, in display order (max 3)
+  pinnedPosts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Post' }],
+  
   // Social links
   website: { type: String },
   location: { type: String },
@@ -25,12 +29,22 @@ const userSchema = new mongoose.Schema({
   emailNotifications: { type: Boolean, default: true },
   pushNotifications: { type: Boolean, default: true },
   
+  // Comments on own content containing any of these are hidden automatically
+  commentFilterKeywords: [{ type: String, trim: true, lowercase: true, maxlength: 50 }],
+  
+  // Content warning categories shown without blur
+  sensitiveMediaOptIn: [{
+    type: String,
+    enum: ['spoiler', 'graphic', 'nsfw']
+  }],
+  
   // Timestamps
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
-// Follow model
+// Legacy follow edges. Follows now live in Relationship (see services/followService.js);
+// this model is only kept so scripts/migrateFollows.js can read the old collection.
 const followSchema = new mongoose.Schema({
   follower: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   following: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -0,0 +1,151 @@
+// services/messageService.js
+// Changes to messages after they're sent. edit, unsend and deleteForMe take a
+// message that ChatAuthorizer has already resolved for a participant of its conversation.
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+
+export class MessageService {
+  constructor() {
+    this.editWindow = 15 * 60 * 1000; // 15 minutes
+    this.maxContentLength = 5000;
+  }
+
+  // Returns { message } or { error, status }
+  async edit(userId, message, content) {
+    const text = typeof content === 'string' ? content.trim() : '';
+    if (!text || text.length > this.maxContentLength) {
+      return { error: `Message must be 1-${this.maxContentLength} characters`, status: 400 };
+    }
+
+    const denied = this.checkOwnMessage(userId, message);
+    if (denied) return denied;
+
+    if (Date.now() - message.createdAt.getTime() > this.editWindow) {
+      return { error: 'Messages can only be edited for 15 minutes after sending', status: 403 };
+    }
+    if (text === message.content) {
+      return { message };
+    }
+
+    message.editHistory.push({ content: message.content, editedAt: message.editedAt || message.createdAt });
+    message.content = text;
+    message.editedAt = new Date();
+    message.changedAt = message.editedAt;
+    await message.save();
+
+    return { message };
+  }
+
+  // Clears the message for everyone and leaves a tombstone in its place.
+  // Returns { message, lastMessage } where lastMessage is the conversation's new
+  // last message (null if none is left) when the unsent one was the last, or { error, status }.
+  async unsend(userId, message) {
+    const denied = this.checkOwnMessage(userId, message);
+    if (denied) return denied;
+
+    message.content = '';
+    message.media = [];
+    message.editHistory = [];
+    message.unsentAt = new Date();
+    message.changedAt = message.unsentAt;
+    await message.save();
+
+    const conversation = await Conversation.findById(message.conversation).select('lastMessage');
+    if (!conversation || conversation.lastMessage?.toString() !== message._id.toString()) {
+      return { message };
+    }
+
+    return { message, lastMessage: await this.refreshLastMessage(conversation) };
+  }
+
+  // Hides the message from this user's history only; deletedAt lets their other
+  // devices pick it up on sync. Returns { message } or { error, status }
+  async deleteForMe(userId, message) {
+    await Message.updateOne(
+      { _id: message._id, 'deletedFor.user': { $ne: userId } },
+      { $push: { deletedFor: { user: userId, deletedAt: new Date() } } }
+    );
+
+    return { message };
+  }
+
+  // Record delivery to this user of everyone else's messages in the conversation
+  // that a device has acknowledged; `delivered` is DeviceService.upToCursor's condition.
+  // Returns the ids of messages that weren't already delivered.
+  async markDelivered(userId, conversationId, delivered) {
+    const pending = await Message.find({
+      conversation: conversationId,
+      sender: { $ne: userId },
+      type: { $ne: 'system' },
+      'deliveredTo.user': { $ne: userId },
+      ...delivered
+    }).distinct('_id');
+
+    if (pending.length === 0) return [];
+
+    await Message.updateMany(
+      { _id: { $in: pending }, 'deliveredTo.user': { $ne: userId } },
+      { $push: { deliveredTo: { user: userId, deliveredAt: new Date() } } }
+    );
+
+    return pending;
+  }
+
+  // Record that this user read everyone else's messages among messageIds; a
+  // message read is also delivered. Returns { delivered, read }: the ids of
+  // messages that weren't already in that state.
+  async markRead(userId, conversationId, messageIds) {
+    const ids = messageIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return { delivered: [], read: [] };
+
+    const delivered = await this.markDelivered(userId, conversationId, { _id: { $in: ids } });
+
+    const read = await Message.find({
+      _id: { $in: ids },
+      conversation: conversationId,
+      sender: { $ne: userId },
+      type: { $ne: 'system' },
+      'readBy.user': { $ne: userId }
+    }).distinct('_id');
+
+    if (read.length > 0) {
+      await Message.updateMany(
+        { _id: { $in: read }, 'readBy.user': { $ne: userId } },
+        { $push: { readBy: { user: userId, readAt: new Date() } } }
+      );
+    }
+
+    return { delivered, read };
+  }
+
+  // Point the conversation at its newest message that hasn't been unsent
+  async refreshLastMessage(conversation) {
+    const latest = await Message.findOne({
+      conversation: conversation._id,
+      unsentAt: { $exists: false }
+    })
+      .sort({ createdAt: -1 })
+      .populate('sender', 'name username avatar');
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      latest ? { lastMessage: latest._id } : { $unset: { lastMessage: 1 } }
+    );
+
+    return latest;
+  }
+
+  checkOwnMessage(userId, message) {
+    if (message.type === 'system') {
+      return { error: 'System messages cannot be changed', status: 400 };
+    }
+    if (message.sender.toString() !== userId.toString()) {
+      return { error: 'You can only change your own messages', status: 403 };
+    }
+    if (message.unsentAt) {
+      return { error: 'Message has been unsent', status: 410 };
+    }
+    return null;
+  }
+}
@@ -3,6 +3,9 @@ import ffmpeg from 'fluent-ffmpeg';
 import cloudinary from 'cloudinary';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { pipeline } from 'stream/promises';
+import { MediaFilterService } from './mediaFilterService.js';
 
 // Cloudinary configuration
 cloudinary.v2.config({
@@ -17,10 +20,17 @@ export class MediaProcessor {
       image: ['jpg', 'jpeg', 'png', 'webp', 'gif'],
       video: ['mp4', 'mov', 'avi', 'webm', 'mkv']
     };
+    this.mediaFilterService = new MediaFilterService();
+    // Limits for fetching already-uploaded media back from Cloudinary
+    this.remoteFetchTimeout = 10 * 1000;
+    this.maxRemoteFetchSize = 20 * 1024 * 1024;
+    // Same limit and directory as the multer uploads in routes/posts.js
+    this.maxUploadSize = 100 * 1024 * 1024;
+    this.uploadDir = 'uploads/tmp';
   }
 
   async processUpload(file, options = {}) {
-    const { type, userId, purpose } = options;
+    const { type, userId, purpose, sensitive = false } = options;
     
     try {
       // Validate file type
@@ -31,9 +41,9 @@ export class MediaProcessor {
       let result;
 
       if (type === 'image') {
-        result = await this.processImage(file, userId, purpose);
+        result = await this.processImage(file, userId, purpose, sensitive);
       } else if (type === 'video') {
-        result = await this.processVideo(file, userId, purpose);
+        result = await this.processVideo(file, userId, purpose, sensitive);
       }
 
       // Clean up temporary file
@@ -46,8 +56,14 @@ export class MediaProcessor {
     }
   }
 
-  async processImage(file, userId, purpose) {
+  async processImage(file, userId, purpose, sensitive = false) {
     const transformations = this.getImageTransformations(purpose);
+
+    // Placeholder is generated from the local file before it is uploaded
+    const blurhash = await this.generateBlurhash(file.path);
+    const blurredUrl = sensitive
+      ? await this.uploadBlurredPreview(file.path, userId)
+      : undefined;
     
     const result = await cloudinary.v2.uploader.upload(file.path, {
       folder: `peoplelink/users/${userId}/${purpose}`,
@@ -63,11 +79,13 @@ export class MediaProcessor {
       format: result.format,
       width: result.width,
       height: result.height,
-      size: result.bytes
+      size: result.bytes,
+      blurhash,
+      blurredUrl
     };
   }
 
-  async processVideo(file, userId, purpose) {
+  async processVideo(file, userId, purpose, sensitive = false) {
     // Generate thumbnail
     const thumbnailPath = await this.generateVideoThumbnail(file.path);
     
@@ -92,6 +110,11 @@ export class MediaProcessor {
       ]
     });
 
+    const blurhash = await this.generateBlurhash(thumbnailPath);
+    const blurredUrl = sensitive
+      ? await this.uploadBlurredPreview(thumbnailPath, userId)
+      : undefined;
+
     // Clean up thumbnail file
     await this.cleanupTempFile(thumbnailPath);
 
@@ -104,6 +127,8 @@ export class MediaProcessor {
       width: videoResult.width,
       height: videoResult.height,
       size: videoResult.bytes,
+      blurhash,
+      blurredUrl,
       versions: videoResult.eager // Different quality versions
     };
   }
@@ -155,6 +180,18 @@ export class MediaProcessor {
         );
         break;
       
+      case 'reaction':
+        transformations.push(
+          { width: 128, height: 128, crop: 'fit' }
+        );
+        break;
+      
+      case 'group_photo':
+        transformations.push(
+          { width: 400, height: 400, crop: 'fill', gravity: 'auto' }
+        );
+        break;
+      
       default:
         transformations.push(
           { width: 800, height: 600, crop: 'limit' },
@@ -165,6 +202,79 @@ export class MediaProcessor {
     return transformations;
   }
 
+  // Upload a blurred preview for sensitive media from a local file
+  async uploadBlurredPreview(filePath, userId) {
+    return await this.uploadPreviewBuffer(await fs.promises.readFile(filePath), userId);
+  }
+
+  // Upload a blurred preview for media that is already on Cloudinary. The URL
+  // usually comes from a request body, so only the user's own uploads are fetched.
+  async uploadBlurredPreviewFromUrl(url, userId) {
+    if (!this.isOwnMediaUrl(url, userId)) {
+      throw new Error('Previews can only be made from your own uploads');
+    }
+
+    return await this.uploadPreviewBuffer(await this.fetchRemoteMedia(url), userId);
+  }
+
+  // True for https URLs in the user's folder on our Cloudinary account,
+  // i.e. ones processUpload produced for them
+  isOwnMediaUrl(url, userId) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    return parsed.protocol === 'https:' &&
+      parsed.hostname === 'res.cloudinary.com' &&
+      parsed.pathname.startsWith(`/${process.env.CLOUDINARY_CLOUD_NAME}/`) &&
+      parsed.pathname.includes(`/peoplelink/users/${userId}/`);
+  }
+
+  async fetchRemoteMedia(url) {
+    const response = await fetch(url, {
+      redirect: 'error',
+      signal: AbortSignal.timeout(this.remoteFetchTimeout)
+    });
+    if (!response.ok) {
+      throw new Error(`Could not fetch media for preview: ${response.status}`);
+    }
+
+    const declaredSize = Number(response.headers.get('content-length'));
+    if (declaredSize > this.maxRemoteFetchSize) {
+      throw new Error('Media is too large to preview');
+    }
+
+    // The header can be missing or wrong, so the body is counted as it arrives
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body) {
+      size += chunk.length;
+      if (size > this.maxRemoteFetchSize) {
+        throw new Error('Media is too large to preview');
+      }
+      chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+  }
+
+  async uploadPreviewBuffer(imageBuffer, userId) {
+    const preview = await this.mediaFilterService.generateSensitivePreview(imageBuffer);
+
+    const result = await cloudinary.v2.uploader.upload(
+      `data:image/jpeg;base64,${preview.toString('base64')}`,
+      {
+        folder: `peoplelink/users/${userId}/blurred`,
+        resource_type: 'image'
+      }
+    );
+
+    return result.secure_url;
+  }
+
   async generateBlurhash(imagePath) {
     // Generate blurhash for image placeholders
     return new Promise((resolve) => {
@@ -193,6 +303,77 @@ export class MediaProcessor {
     return this.supportedFormats[type].includes(extension);
   }
 
+  // Process a post's uploads into ordered media items. altTexts are matched to
+  // files by position. Every file is cleaned up, also when one fails.
+  async processPostMedia(files, altTexts, userId, sensitive = false) {
+    const media = [];
+
+    try {
+      for (const [index, file] of files.entries()) {
+        const type = file.mimetype.startsWith('video/') ? 'video' : 'image';
+        const result = await this.processUpload(file, {
+          type,
+          userId,
+          purpose: 'post',
+          sensitive
+        });
+
+        media.push({
+          url: result.url,
+          type,
+          altText: altTexts[index] || '',
+          width: result.width,
+          height: result.height,
+          blurhash: result.blurhash,
+          blurredUrl: result.blurredUrl,
+          thumbnail: result.thumbnail,
+          duration: result.duration,
+          order: index
+        });
+      }
+    } catch (error) {
+      // processUpload only cleans up the file it failed on
+      await Promise.all(files.map(file => this.cleanupTempFile(file.path)));
+      throw error;
+    }
+
+    return media;
+  }
+
+  // Write a GraphQL upload (graphql-upload) to a temp file shaped like a multer
+  // file, so it goes through processUpload the same way
+  async saveUpload(upload) {
+    const { createReadStream, filename, mimetype } = await upload;
+
+    if (!mimetype.startsWith('image/') && !mimetype.startsWith('video/')) {
+      throw new Error('Invalid file type. Only images and videos are allowed.');
+    }
+
+    fs.mkdirSync(this.uploadDir, { recursive: true });
+    const filePath = path.join(this.uploadDir, crypto.randomUUID());
+    const maxSize = this.maxUploadSize;
+
+    try {
+      await pipeline(
+        createReadStream(),
+        async function* (source) {
+          let size = 0;
+          for await (const chunk of source) {
+            size += chunk.length;
+            if (size > maxSize) throw new Error('File too large');
+            yield chunk;
+          }
+        },
+        fs.createWriteStream(filePath)
+      );
+    } catch (error) {
+      await this.cleanupTempFile(filePath);
+      throw error;
+    }
+
+    return { path: filePath, originalname: filename, mimetype };
+  }
+
   async cleanupTempFile(filePath) {
     try {
       if (fs.existsSync(filePath)) {
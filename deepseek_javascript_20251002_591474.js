@@ -3,6 +3,13 @@ import { Server } from 'socket.io';
 import jwt from 'jsonwebtoken';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
+import { ReactionService } from '../services/reactionService.js';
+import { GroupChatService } from '../services/groupChatService.js';
+import { MessageService } from '../services/messageService.js';
+import { DeviceService } from '../services/deviceService.js';
+import { PushService } from '../services/pushService.js';
+import { chatEvents } from './chatEvents.js';
+import { ChatAuthorizer, CHAT_ERRORS } from './chatAuthorization.js';
 
 export class ChatHandler {
   constructor(server) {
@@ -13,11 +20,25 @@ export class ChatHandler {
       }
     });
     
+    // userId -> ids of that user's connected sockets, one per device or tab
     this.userSockets = new Map();
-    this.onlineUsers = new Set();
+    this.reactionService = new ReactionService();
+    this.authorizer = new ChatAuthorizer();
+    this.groupChatService = new GroupChatService();
+    this.messageService = new MessageService();
+    this.deviceService = new DeviceService();
+    this.pushService = new PushService();
     
     this.initializeMiddleware();
     this.initializeHandlers();
+
+    // Group changes can come from REST routes as well as sockets
+    chatEvents.on('conversation_updated', update => this.broadcastConversationUpdate(update));
+    chatEvents.on('conversation_created', ({ conversation }) => {
+      conversation.participants.forEach(userId => {
+        this.io.in(`user_${userId}`).socketsJoin(`conversation_${conversation._id}`);
+      });
+    });
   }
 
   initializeMiddleware() {
@@ -32,6 +53,9 @@ export class ChatHandler {
       try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         socket.userId = decoded.userId;
+        // Optional; without one the socket gets live events but no offline sync
+        const { deviceId } = socket.handshake.auth;
+        socket.deviceId = typeof deviceId === 'string' && deviceId ? deviceId : null;
         next();
       } catch (error) {
         next(new Error('Authentication error'));
@@ -45,6 +69,9 @@ export class ChatHandler {
       
       this.handleConnection(socket);
       this.handleMessages(socket);
+      this.handleMessageActions(socket);
+      this.handleGroups(socket);
+      this.handleSync(socket);
       this.handleTyping(socket);
       this.handlePresence(socket);
       this.handleCalls(socket);
@@ -54,20 +81,49 @@ export class ChatHandler {
 
   handleConnection(socket) {
     // Store user socket
-    this.userSockets.set(socket.userId, socket.id);
-    this.onlineUsers.add(socket.userId);
+    const sockets = this.userSockets.get(socket.userId) || new Set();
+    const cameOnline = sockets.size === 0;
+    sockets.add(socket.id);
+    this.userSockets.set(socket.userId, sockets);
 
     // Join user to their personal room
     socket.join(`user_${socket.userId}`);
 
-    // Broadcast online status
-    socket.broadcast.emit('user_online', { userId: socket.userId });
+    // Broadcast online status when the user's first device connects
+    if (cameOnline) {
+      socket.broadcast.emit('user_online', { userId: socket.userId });
+    }
 
     // Send current online users
-    socket.emit('online_users', Array.from(this.onlineUsers));
+    socket.emit('online_users', Array.from(this.userSockets.keys()));
 
-    // Join conversation rooms
-    this.joinConversationRooms(socket);
+    this.connectDevice(socket);
+  }
+
+  // Rooms are joined before syncing, so anything sent meanwhile arrives live
+  // rather than falling between the sync and the live stream
+  async connectDevice(socket) {
+    await this.joinConversationRooms(socket);
+    if (!socket.deviceId) return;
+
+    try {
+      const result = await this.deviceService.register(socket.userId, {
+        deviceId: socket.deviceId,
+        platform: socket.handshake.auth.platform
+      });
+
+      if (result.error) {
+        return socket.emit('sync_error', { error: result.error });
+      }
+
+      await this.sendSync(socket);
+    } catch (error) {
+      console.error('Error connecting device:', error);
+    }
+  }
+
+  isOnline(userId) {
+    return this.userSockets.has(userId.toString());
   }
 
   async joinConversationRooms(socket) {
@@ -86,9 +142,26 @@ export class ChatHandler {
 
   handleMessages(socket) {
     // Send message
-    socket.on('send_message', async (data) => {
+    socket.on('send_message', async (data = {}) => {
       try {
         const { conversationId, content, media, replyTo, temporaryId } = data;
+
+        const allowed = await this.authorizeEvent(socket, 'send_message', {
+          conversationId,
+          temporaryId
+        }, 'send');
+        if (!allowed) return;
+
+        // Replies must point inside the same conversation
+        if (replyTo && !await Message.exists({ _id: replyTo, conversation: conversationId })) {
+          return socket.emit('authorization_error', {
+            event: 'send_message',
+            code: CHAT_ERRORS.INVALID_REQUEST,
+            message: 'Reply target not found',
+            conversationId,
+            temporaryId
+          });
+        }
         
         // Save message to database
         const message = new Message({
@@ -120,13 +193,14 @@ export class ChatHandler {
         this.io.to(`conversation_${conversationId}`).emit('new_message', {
           message,
           conversationId,
-          temporaryId // For client-side message tracking
+          temporaryId, // For client-side message tracking
+          cursor: this.deviceService.cursorFor(message)
         });
 
         // Send push notifications to offline users
         conversation.participants.forEach(participant => {
           if (participant._id.toString() !== socket.userId && 
-              !this.onlineUsers.has(participant._id.toString())) {
+              !this.isOnline(participant._id)) {
             this.sendPushNotification(participant._id, {
               title: message.sender.name,
               body: content.length > 50 ? content.substring(0, 50) + '...' : content,
@@ -144,60 +218,106 @@ export class ChatHandler {
     });
 
     // Message reactions
-    socket.on('react_to_message', async (data) => {
+    socket.on('react_to_message', async (data = {}) => {
       try {
         const { messageId, emoji } = data;
-        
-        const message = await Message.findById(messageId);
-        if (!message) return;
+        // Pack reactions have no standard emoji, so clients send their reactionType
+        const reactionType = data.reactionType || this.reactionService.typeForEmoji(emoji);
+        if (!reactionType) {
+          return socket.emit('reaction_error', { error: 'Unknown reaction' });
+        }
 
-        // Remove existing reaction from same user
-        message.reactions = message.reactions.filter(
-          reaction => reaction.user.toString() !== socket.userId
-        );
+        const allowed = await this.authorizeEvent(socket, 'react_to_message', { messageId }, 'interact');
+        if (!allowed) return;
+        const { message } = allowed;
 
-        // Add new reaction
-        message.reactions.push({
-          user: socket.userId,
-          emoji,
-          createdAt: new Date()
+        if (message.unsentAt) {
+          return socket.emit('reaction_error', { error: 'Message has been unsent' });
+        }
+
+        const result = await this.reactionService.react({
+          targetType: 'message',
+          targetId: messageId,
+          userId: socket.userId,
+          reactionType
         });
 
-        await message.save();
-        await message.populate('reactions.user', 'name avatar');
+        if (result.error) {
+          return socket.emit('reaction_error', { error: result.error });
+        }
 
-        // Broadcast reaction
-        this.io.to(`conversation_${message.conversation}`).emit('message_reacted', {
-          messageId,
-          reactions: message.reactions
-        });
+        this.broadcastMessageReaction(message, result.summary);
 
       } catch (error) {
         socket.emit('reaction_error', { error: 'Failed to add reaction' });
       }
     });
 
+    socket.on('remove_message_reaction', async (data = {}) => {
+      try {
+        const { messageId } = data;
+
+        const allowed = await this.authorizeEvent(socket, 'remove_message_reaction', { messageId }, 'read');
+        if (!allowed) return;
+        const { message } = allowed;
+
+        const result = await this.reactionService.removeReaction({
+          targetType: 'message',
+          targetId: messageId,
+          userId: socket.userId
+        });
+
+        if (result.error) {
+          return socket.emit('reaction_error', { error: result.error });
+        }
+
+        this.broadcastMessageReaction(message, result.summary);
+
+      } catch (error) {
+        socket.emit('reaction_error', { error: 'Failed to remove reaction' });
+      }
+    });
+
     // Mark messages as read
-    socket.on('mark_messages_read', async (data) => {
+    socket.on('mark_messages_read', async (data = {}) => {
       try {
         const { conversationId, messageIds } = data;
+
+        if (!Array.isArray(messageIds)) {
+          return socket.emit('authorization_error', {
+            event: 'mark_messages_read',
+            code: CHAT_ERRORS.INVALID_REQUEST,
+            message: 'messageIds must be an array',
+            conversationId
+          });
+        }
+
+        const allowed = await this.authorizeEvent(socket, 'mark_messages_read', { conversationId }, 'read');
+        if (!allowed) return;
         
-        await Message.updateMany(
-          { 
-            _id: { $in: messageIds },
-            conversation: conversationId
-          },
-          { 
-            $addToSet: { readBy: { user: socket.userId, readAt: new Date() } }
-          }
+        // Scoped to the conversation, so ids from elsewhere are ignored; the
+        // user's own messages and ones they already read are skipped
+        const { delivered, read } = await this.messageService.markRead(
+          socket.userId,
+          conversationId,
+          messageIds
         );
 
         // Notify other participants
-        socket.to(`conversation_${conversationId}`).emit('messages_read', {
-          conversationId,
-          readerId: socket.userId,
-          messageIds
-        });
+        if (delivered.length > 0) {
+          socket.to(`conversation_${conversationId}`).emit('messages_delivered', {
+            conversationId,
+            recipientId: socket.userId,
+            messageIds: delivered
+          });
+        }
+        if (read.length > 0) {
+          socket.to(`conversation_${conversationId}`).emit('messages_read', {
+            conversationId,
+            readerId: socket.userId,
+            messageIds: read
+          });
+        }
 
       } catch (error) {
         console.error('Error marking messages as read:', error);
@@ -205,11 +325,272 @@ export class ChatHandler {
     });
   }
 
+  // Check an event's target before running it. Rejections are sent back as
+  // `authorization_error` with a CHAT_ERRORS code. Returns { conversation, message } or null.
+  async authorizeEvent(socket, event, { conversationId, messageId, temporaryId }, policy) {
+    try {
+      const result = await this.authorizer.authorize(
+        socket.userId,
+        { conversationId, messageId },
+        policy
+      );
+
+      if (!result.error) return result;
+
+      socket.emit('authorization_error', {
+        event,
+        ...result.error,
+        conversationId,
+        messageId,
+        temporaryId
+      });
+    } catch (error) {
+      console.error(`Error authorizing ${event}:`, error);
+      socket.emit('authorization_error', {
+        event,
+        code: CHAT_ERRORS.INVALID_REQUEST,
+        message: 'Request could not be authorized',
+        conversationId,
+        messageId,
+        temporaryId
+      });
+    }
+
+    return null;
+  }
+
+  // Edit, unsend and delete-for-me. Each event takes { messageId }; failures are
+  // sent back as `message_error` with the event name.
+  handleMessageActions(socket) {
+    const actions = {
+      edit_message: {
+        policy: 'interact',
+        run: (message, data) => this.messageService.edit(socket.userId, message, data.content),
+        broadcast: ({ message }) => {
+          this.io.to(`conversation_${message.conversation}`).emit('message_edited', {
+            conversationId: message.conversation,
+            messageId: message._id,
+            content: message.content,
+            editedAt: message.editedAt,
+            cursor: this.deviceService.cursorFor(message)
+          });
+        }
+      },
+      unsend_message: {
+        policy: 'read',
+        run: message => this.messageService.unsend(socket.userId, message),
+        broadcast: ({ message, lastMessage }) => {
+          const room = `conversation_${message.conversation}`;
+
+          this.io.to(room).emit('message_unsent', {
+            conversationId: message.conversation,
+            messageId: message._id,
+            unsentAt: message.unsentAt,
+            cursor: this.deviceService.cursorFor(message)
+          });
+
+          if (lastMessage !== undefined) {
+            this.io.to(room).emit('conversation_last_message', {
+              conversationId: message.conversation,
+              lastMessage
+            });
+          }
+        }
+      },
+      delete_for_me: {
+        policy: 'read',
+        run: message => this.messageService.deleteForMe(socket.userId, message),
+        // Nobody else's view changes, so only the caller's other sockets hear about it
+        broadcast: ({ message }) => {
+          this.io.to(`user_${socket.userId}`).emit('message_deleted_for_me', {
+            conversationId: message.conversation,
+            messageId: message._id
+          });
+        }
+      }
+    };
+
+    Object.entries(actions).forEach(([event, { policy, run, broadcast }]) => {
+      socket.on(event, async (data = {}) => {
+        try {
+          const allowed = await this.authorizeEvent(socket, event, { messageId: data.messageId }, policy);
+          if (!allowed) return;
+
+          const result = await run(allowed.message, data);
+
+          if (result.error) {
+            return socket.emit('message_error', {
+              event,
+              messageId: data.messageId,
+              error: result.error
+            });
+          }
+
+          broadcast(result);
+        } catch (error) {
+          socket.emit('message_error', {
+            event,
+            messageId: data.messageId,
+            error: 'Failed to update message'
+          });
+        }
+      });
+    });
+  }
+
+  // Catch-up for devices that were offline. The server sends `sync` on connect;
+  // clients ask again with `sync` while any conversation reports hasMore, and confirm
+  // what they've stored with `sync_ack`, which also marks those messages delivered.
+  // Live new_message, message_edited and message_unsent events carry a cursor too;
+  // clients acknowledge those the same way, once they're no longer catching up.
+  handleSync(socket) {
+    socket.on('sync', async () => {
+      try {
+        await this.sendSync(socket);
+      } catch (error) {
+        socket.emit('sync_error', { error: 'Failed to sync' });
+      }
+    });
+
+    socket.on('sync_ack', async (data = {}) => {
+      try {
+        const { conversationId, cursor } = data;
+
+        if (!socket.deviceId) {
+          return socket.emit('sync_error', { conversationId, error: 'Connect with a deviceId to sync' });
+        }
+
+        const allowed = await this.authorizeEvent(socket, 'sync_ack', { conversationId }, 'read');
+        if (!allowed) return;
+
+        const result = await this.deviceService.acknowledge(socket.userId, socket.deviceId, conversationId, cursor);
+        if (result.error) {
+          return socket.emit('sync_error', { conversationId, error: result.error });
+        }
+
+        const messageIds = await this.messageService.markDelivered(
+          socket.userId,
+          conversationId,
+          this.deviceService.upToCursor(result.cursor)
+        );
+        if (messageIds.length > 0) {
+          socket.to(`conversation_${conversationId}`).emit('messages_delivered', {
+            conversationId,
+            recipientId: socket.userId,
+            messageIds
+          });
+        }
+      } catch (error) {
+        socket.emit('sync_error', { conversationId: data.conversationId, error: 'Failed to acknowledge sync' });
+      }
+    });
+  }
+
+  async sendSync(socket) {
+    if (!socket.deviceId) {
+      return socket.emit('sync_error', { error: 'Connect with a deviceId to sync' });
+    }
+
+    const result = await this.deviceService.sync(socket.userId, socket.deviceId);
+    if (result.error) {
+      return socket.emit('sync_error', { error: result.error });
+    }
+
+    socket.emit('sync', { conversations: result.conversations });
+  }
+
+  // Group administration over the socket; REST routes call the same service.
+  // Results reach everyone through broadcastConversationUpdate.
+  handleGroups(socket) {
+    const actions = {
+      group_add_participants: data =>
+        this.groupChatService.addParticipants(socket.userId, data.conversationId, data.userIds),
+      group_remove_participant: data =>
+        this.groupChatService.removeParticipant(socket.userId, data.conversationId, data.userId),
+      group_promote_admin: data =>
+        this.groupChatService.setAdmin(socket.userId, data.conversationId, data.userId, true),
+      group_demote_admin: data =>
+        this.groupChatService.setAdmin(socket.userId, data.conversationId, data.userId, false),
+      group_rename: data =>
+        this.groupChatService.rename(socket.userId, data.conversationId, data.groupName),
+      group_set_only_admins_post: data =>
+        this.groupChatService.setOnlyAdminsCanPost(socket.userId, data.conversationId, data.onlyAdminsCanPost),
+      group_leave: data =>
+        this.groupChatService.leave(socket.userId, data.conversationId)
+    };
+
+    Object.entries(actions).forEach(([event, run]) => {
+      socket.on(event, async (data = {}) => {
+        try {
+          const result = await run(data);
+
+          if (result.error) {
+            socket.emit('group_error', {
+              event,
+              conversationId: data.conversationId,
+              error: result.error
+            });
+          }
+        } catch (error) {
+          socket.emit('group_error', {
+            event,
+            conversationId: data.conversationId,
+            error: 'Failed to update group'
+          });
+        }
+      });
+    });
+  }
+
+  // Keep room membership in step with the conversation, then post the system
+  // message and the new group state to the room
+  broadcastConversationUpdate({ conversation, message, added, removed }) {
+    const room = `conversation_${conversation._id}`;
+
+    added.forEach(userId => {
+      this.io.in(`user_${userId}`).socketsJoin(room);
+    });
+
+    removed.forEach(userId => {
+      this.io.in(`user_${userId}`).socketsLeave(room);
+      this.io.to(`user_${userId}`).emit('conversation_removed', {
+        conversationId: conversation._id
+      });
+    });
+
+    this.io.to(room).emit('new_message', {
+      message,
+      conversationId: conversation._id,
+      cursor: this.deviceService.cursorFor(message)
+    });
+
+    this.io.to(room).emit('conversation_updated', {
+      conversationId: conversation._id,
+      participants: conversation.participants,
+      groupAdmins: conversation.groupAdmins,
+      groupName: conversation.groupName,
+      groupPhoto: conversation.groupPhoto,
+      onlyAdminsCanPost: conversation.onlyAdminsCanPost
+    });
+  }
+
+  // Reactions live in the Reaction collection; rooms only get the new summary
+  broadcastMessageReaction(message, reactionSummary) {
+    this.io.to(`conversation_${message.conversation}`).emit('message_reacted', {
+      messageId: message._id,
+      reactionSummary
+    });
+  }
+
   handleTyping(socket) {
     const typingUsers = new Map();
 
-    socket.on('typing_start', (data) => {
+    socket.on('typing_start', async (data = {}) => {
       const { conversationId } = data;
+
+      // Typing is only shown where the user could actually send
+      const allowed = await this.authorizeEvent(socket, 'typing_start', { conversationId }, 'send');
+      if (!allowed) return;
       
       typingUsers.set(conversationId, true);
       
@@ -220,8 +601,11 @@ export class ChatHandler {
       });
     });
 
-    socket.on('typing_stop', (data) => {
+    socket.on('typing_stop', async (data = {}) => {
       const { conversationId } = data;
+
+      const allowed = await this.authorizeEvent(socket, 'typing_stop', { conversationId }, 'read');
+      if (!allowed) return;
       
       typingUsers.delete(conversationId);
       
@@ -287,17 +671,30 @@ export class ChatHandler {
     socket.on('disconnect', () => {
       console.log('User disconnected:', socket.userId);
       
-      this.userSockets.delete(socket.userId);
-      this.onlineUsers.delete(socket.userId);
+      const sockets = this.userSockets.get(socket.userId);
+      if (sockets) {
+        sockets.delete(socket.id);
+        if (sockets.size === 0) this.userSockets.delete(socket.userId);
+      }
+
+      if (socket.deviceId) {
+        this.deviceService.touch(socket.userId, socket.deviceId)
+          .catch(error => console.error('Error updating device:', error));
+      }
 
-      // Broadcast offline status
-      socket.broadcast.emit('user_offline', { userId: socket.userId });
+      // Broadcast offline status once the user's last device is gone
+      if (!this.isOnline(socket.userId)) {
+        socket.broadcast.emit('user_offline', { userId: socket.userId, lastSeen: new Date() });
+      }
     });
   }
 
-  sendPushNotification(userId, notification) {
-    // Integrate with FCM, APNS, or other push services
-    console.log('Sending push notification:', userId, notification);
+  async sendPushNotification(userId, notification) {
+    try {
+      await this.pushService.sendToUser(userId, notification);
+    } catch (error) {
+      console.error('Error sending push notification:', error.message);
+    }
   }
 }
 
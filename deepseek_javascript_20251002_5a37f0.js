@@ -0,0 +1,246 @@
+// services/reactionPackService.js
+import mongoose from 'mongoose';
+import ReactionPack from '../models/ReactionPack.js';
+import { REACTION_TYPES } from '../models/Reaction.js';
+import { MediaProcessor } from './mediaProcessor.js';
+
+export class ReactionPackService {
+  constructor() {
+    this.maxReactionsPerPack = 50;
+    this.mediaProcessor = new MediaProcessor();
+  }
+
+  // Everything a target allows: built-in reactions, then platform packs, then the
+  // conversation's own packs. Earlier entries win if a key somehow appears twice.
+  async getAvailableTypes(conversationId = null) {
+    const scopes = [{ scope: 'platform' }];
+    if (conversationId) {
+      scopes.push({ scope: 'conversation', conversation: conversationId });
+    }
+
+    const packs = await ReactionPack.find({ isActive: true, $or: scopes })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    packs.sort((a, b) => (a.scope === 'platform' ? 0 : 1) - (b.scope === 'platform' ? 0 : 1));
+
+    const types = Object.entries(REACTION_TYPES).map(([id, definition]) => ({
+      id,
+      emoji: definition.emoji,
+      imageUrl: null,
+      label: definition.label,
+      pack: null
+    }));
+    const seen = new Set(types.map(type => type.id));
+
+    for (const pack of packs) {
+      for (const reaction of pack.reactions) {
+        if (seen.has(reaction.key)) continue;
+        seen.add(reaction.key);
+
+        types.push({
+          id: reaction.key,
+          emoji: reaction.emoji || null,
+          imageUrl: reaction.imageUrl || null,
+          label: reaction.label,
+          pack: { id: pack._id, name: pack.name, scope: pack.scope }
+        });
+      }
+    }
+
+    return types;
+  }
+
+  // Packs the user can see: platform packs plus those of a conversation they're in
+  async listPacks(userId, conversationId = null) {
+    const scopes = [{ scope: 'platform' }];
+
+    if (conversationId) {
+      const conversation = await this.findConversation(conversationId);
+      if (!conversation || !this.isParticipant(conversation, userId)) {
+        return { error: 'Conversation not found', status: 404 };
+      }
+      scopes.push({ scope: 'conversation', conversation: conversation._id });
+    }
+
+    const packs = await ReactionPack.find({ isActive: true, $or: scopes })
+      .sort({ scope: -1, createdAt: 1 });
+
+    return { packs };
+  }
+
+  // Returns { pack } or { error, status }
+  async createPack({ user, name, scope, conversationId }) {
+    if (!name || !name.trim()) {
+      return { error: 'Pack name is required', status: 400 };
+    }
+
+    if (scope === 'platform') {
+      if (!this.isPlatformAdmin(user)) {
+        return { error: 'Only admins can create platform reaction packs', status: 403 };
+      }
+    } else if (scope === 'conversation') {
+      const conversation = await this.findConversation(conversationId);
+      if (!conversation || !this.isParticipant(conversation, user.id)) {
+        return { error: 'Conversation not found', status: 404 };
+      }
+      if (!conversation.isGroup) {
+        return { error: 'Reaction packs can only be added to group conversations', status: 400 };
+      }
+      if (!this.isGroupAdmin(conversation, user.id)) {
+        return { error: 'Only group admins can add reaction packs', status: 403 };
+      }
+    } else {
+      return { error: 'Scope must be platform or conversation', status: 400 };
+    }
+
+    const pack = await ReactionPack.create({
+      name,
+      scope,
+      conversation: scope === 'conversation' ? conversationId : undefined,
+      createdBy: user.id
+    });
+
+    return { pack };
+  }
+
+  // Add a reaction with either an emoji or an uploaded image.
+  // Returns { pack } or { error, status }.
+  async addReaction({ user, packId, key, emoji, label, file }) {
+    try {
+      const { pack, error, status } = await this.findManageablePack(packId, user);
+      if (error) return { error, status };
+
+      const normalizedKey = (key || '').trim().toLowerCase();
+      if (!/^[a-z0-9_]{2,32}$/.test(normalizedKey)) {
+        return { error: 'Reaction id must be 2-32 lowercase letters, digits or underscores', status: 400 };
+      }
+      if (!label || !label.trim()) {
+        return { error: 'Reaction label is required', status: 400 };
+      }
+      if (!emoji && !file) {
+        return { error: 'A reaction needs an emoji or an image', status: 400 };
+      }
+      if (pack.reactions.length >= this.maxReactionsPerPack) {
+        return { error: `A pack can hold at most ${this.maxReactionsPerPack} reactions`, status: 400 };
+      }
+      if (await this.isKeyTaken(normalizedKey, pack)) {
+        return { error: 'That reaction id is already in use', status: 409 };
+      }
+
+      let imageUrl;
+      if (file) {
+        const result = await this.mediaProcessor.processUpload(file, {
+          type: 'image',
+          userId: user.id,
+          purpose: 'reaction'
+        });
+        imageUrl = result.url;
+      }
+
+      pack.reactions.push({
+        key: normalizedKey,
+        emoji: file ? undefined : emoji,
+        imageUrl,
+        label
+      });
+      pack.updatedAt = new Date();
+      await pack.save();
+
+      return { pack };
+    } finally {
+      // processUpload removes the file itself; this covers the early returns
+      if (file) await this.mediaProcessor.cleanupTempFile(file.path);
+    }
+  }
+
+  // Existing reactions keep their type; the option simply stops being offered
+  async removeReaction({ user, packId, key }) {
+    const { pack, error, status } = await this.findManageablePack(packId, user);
+    if (error) return { error, status };
+
+    const reaction = pack.reactions.find(item => item.key === key);
+    if (!reaction) {
+      return { error: 'Reaction not found', status: 404 };
+    }
+
+    reaction.deleteOne();
+    pack.updatedAt = new Date();
+    await pack.save();
+
+    return { pack };
+  }
+
+  async deactivatePack({ user, packId }) {
+    const { pack, error, status } = await this.findManageablePack(packId, user);
+    if (error) return { error, status };
+
+    pack.isActive = false;
+    pack.updatedAt = new Date();
+    await pack.save();
+
+    return { pack };
+  }
+
+  async findManageablePack(packId, user) {
+    if (!mongoose.Types.ObjectId.isValid(packId)) {
+      return { error: 'Reaction pack not found', status: 404 };
+    }
+
+    const pack = await ReactionPack.findOne({ _id: packId, isActive: true });
+    if (!pack) {
+      return { error: 'Reaction pack not found', status: 404 };
+    }
+
+    if (pack.scope === 'platform') {
+      return this.isPlatformAdmin(user)
+        ? { pack }
+        : { error: 'Only admins can edit platform reaction packs', status: 403 };
+    }
+
+    const conversation = await this.findConversation(pack.conversation);
+    if (!conversation || !this.isParticipant(conversation, user.id)) {
+      return { error: 'Reaction pack not found', status: 404 };
+    }
+
+    return this.isGroupAdmin(conversation, user.id)
+      ? { pack }
+      : { error: 'Only group admins can edit this reaction pack', status: 403 };
+  }
+
+  // Keys must be unique across everything a target could offer alongside this pack
+  async isKeyTaken(key, pack) {
+    if (REACTION_TYPES[key]) return true;
+
+    // A new platform key could shadow any conversation's key, so check them all
+    if (pack.scope === 'platform') {
+      return Boolean(await ReactionPack.exists({ isActive: true, 'reactions.key': key }));
+    }
+
+    return Boolean(await ReactionPack.exists({
+      isActive: true,
+      'reactions.key': key,
+      $or: [
+        { scope: 'platform' },
+        { scope: 'conversation', conversation: pack.conversation }
+      ]
+    }));
+  }
+
+  async findConversation(conversationId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+    return await mongoose.model('Conversation').findById(conversationId);
+  }
+
+  isParticipant(conversation, userId) {
+    return conversation.participants.some(id => id.toString() === userId.toString());
+  }
+
+  isGroupAdmin(conversation, userId) {
+    return (conversation.groupAdmins || []).some(id => id.toString() === userId.toString());
+  }
+
+  isPlatformAdmin(user) {
+    return user.role === 'admin';
+  }
+}
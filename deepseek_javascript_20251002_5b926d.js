@@ -2,80 +2,117 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import { User, Post, Story } from '../models/User.js';
+import { getPaginationParams, applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { FeedService } from '../services/feedService.js';
+import { BlockService } from '../services/blockService.js';
 
 const router = express.Router();
+const feedService = new FeedService();
+const blockService = new BlockService();
 
 // Global search
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const { q, type, page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
+    const { q, type } = req.query;
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({ message: 'Search query too short' });
     }
 
+    // A cursor belongs to a single result list, so it needs an explicit type.
+    // Hashtag results are grouped aggregates and stay page-based.
+    if (req.query.cursor && type !== 'users' && type !== 'posts') {
+      return res.status(400).json({ message: 'Cursor requires type=users or type=posts' });
+    }
+
+    // Users are ranked by followers, posts by recency
+    const userSort = { field: 'followersCount', order: -1 };
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
     const searchQuery = q.trim();
     let results = {};
 
+    // Accounts blocked either way never show up, nor does their content
+    const blocked = await blockService.getBlockedIds(req.user.id);
+
     // Search users
     if (!type || type === 'users') {
-      const users = await User.find({
+      const userQuery = {
         $or: [
           { name: { $regex: searchQuery, $options: 'i' } },
           { username: { $regex: searchQuery, $options: 'i' } },
           { bio: { $regex: searchQuery, $options: 'i' } }
-        ]
-      })
+        ],
+        _id: { $nin: blocked }
+      };
+
+      const userResults = await User.find(applyCursor(userQuery, cursor, userSort))
       .select('name username avatar bio isVerified followersCount')
-      .sort({ followersCount: -1, createdAt: -1 })
+      .sort(cursorSort(userSort))
       .skip(skip)
-      .limit(limit);
-
-      const totalUsers = await User.countDocuments({
-        $or: [
-          { name: { $regex: searchQuery, $options: 'i' } },
-          { username: { $regex: searchQuery, $options: 'i' } },
-          { bio: { $regex: searchQuery, $options: 'i' } }
-        ]
-      });
-
-      results.users = {
-        data: users,
-        total: totalUsers,
-        page,
-        pages: Math.ceil(totalUsers / limit)
-      };
+      .limit(limit + 1);
+
+      const { items: users, nextCursor, hasMore } = buildPage(
+        userResults,
+        limit,
+        userSort.field
+      );
+
+      if (cursor) {
+        results.users = { data: users, nextCursor, hasMore };
+      } else {
+        const totalUsers = await User.countDocuments(userQuery);
+
+        results.users = {
+          data: users,
+          total: totalUsers,
+          page,
+          pages: Math.ceil(totalUsers / limit),
+          nextCursor,
+          hasMore
+        };
+      }
     }
 
     // Search posts
     if (!type || type === 'posts') {
-      const posts = await Post.find({
+      const postQuery = {
         $or: [
           { content: { $regex: searchQuery, $options: 'i' } },
           { hashtags: { $in: [new RegExp(searchQuery, 'i')] } }
         ],
-        visibility: 'public'
-      })
+        visibility: 'public',
+        user: { $nin: blocked }
+      };
+
+      const postResults = await Post.find(applyCursor(postQuery, cursor))
+      .published()
       .populate('user', 'name username avatar isVerified')
-      .sort({ createdAt: -1 })
+      .sort(cursorSort())
       .skip(skip)
-      .limit(limit);
-
-      const totalPosts = await Post.countDocuments({
-        $or: [
-          { content: { $regex: searchQuery, $options: 'i' } },
-          { hashtags: { $in: [new RegExp(searchQuery, 'i')] } }
-        ],
-        visibility: 'public'
-      });
-
-      results.posts = {
-        data: posts,
-        total: totalPosts,
-        page,
-        pages: Math.ceil(totalPosts / limit)
-      };
+      .limit(limit + 1);
+
+      const { items, nextCursor, hasMore } = buildPage(postResults, limit);
+      const posts = await feedService.presentPosts(items, req.user.id);
+
+      if (cursor) {
+        results.posts = { data: posts, nextCursor, hasMore };
+      } else {
+        const totalPosts = await Post.countDocuments(postQuery).published();
+
+        results.posts = {
+          data: posts,
+          total: totalPosts,
+          page,
+          pages: Math.ceil(totalPosts / limit),
+          nextCursor,
+          hasMore
+        };
+      }
     }
 
     // Search hashtags
@@ -83,7 +120,8 @@ router.get('/', authMiddleware, async (req, res) => {
       const hashtagPosts = await Post.aggregate([
         { $match: { 
           hashtags: { $in: [new RegExp(searchQuery, 'i')] },
-          visibility: 'public'
+          visibility: 'public',
+          user: { $nin: blocked }
         }},
         { $unwind: '$hashtags' },
         { $match: { hashtags: { $regex: searchQuery, $options: 'i' } } },
@@ -97,7 +135,16 @@ router.get('/', authMiddleware, async (req, res) => {
         { $limit: limit }
       ]);
 
-      results.hashtags = hashtagPosts;
+      // recentPost is a raw document, so it goes through the same media masking
+      const recentPosts = await feedService.presentPosts(
+        hashtagPosts.map(hashtag => hashtag.recentPost),
+        req.user.id
+      );
+
+      results.hashtags = hashtagPosts.map((hashtag, index) => ({
+        ...hashtag,
+        recentPost: recentPosts[index]
+      }));
     }
 
     res.json(results);
@@ -116,13 +163,15 @@ router.get('/suggestions', authMiddleware, async (req, res) => {
     }
 
     const searchQuery = q.trim();
+    const blocked = await blockService.getBlockedIds(req.user.id);
 
     // User suggestions
     const userSuggestions = await User.find({
       $or: [
         { name: { $regex: searchQuery, $options: 'i' } },
         { username: { $regex: searchQuery, $options: 'i' } }
-      ]
+      ],
+      _id: { $nin: blocked }
     })
     .select('name username avatar isVerified')
     .limit(5);
@@ -0,0 +1,24 @@
+// models/SuggestionDismissal.js
+import mongoose from 'mongoose';
+
+// "People you may know" entries a user has dismissed; they are never suggested again
+const suggestionDismissalSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  dismissedUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+suggestionDismissalSchema.index({ user: 1, dismissedUser: 1 }, { unique: true });
+
+export default mongoose.model('SuggestionDismissal', suggestionDismissalSchema);
@@ -1,81 +1,44 @@
 // routes/follows.js
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
-import { Follow, User } from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+import { getPaginationParams, applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { FollowService } from '../services/followService.js';
 
 const router = express.Router();
+const followService = new FollowService();
 
-// Follow user
+// Follow user (private accounts get a request instead)
 router.post('/:userId/follow', authMiddleware, async (req, res) => {
   try {
-    const targetUserId = req.params.userId;
-    const currentUserId = req.user.id;
+    const result = await followService.follow(req.user, req.params.userId);
 
-    if (targetUserId === currentUserId) {
-      return res.status(400).json({ message: 'Cannot follow yourself' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    const targetUser = await User.findById(targetUserId);
-    if (!targetUser) {
-      return res.status(404).json({ message: 'User not found' });
-    }
-
-    // Check if already following
-    const existingFollow = await Follow.findOne({
-      follower: currentUserId,
-      following: targetUserId
-    });
-
-    if (existingFollow) {
-      return res.status(400).json({ message: 'Already following this user' });
-    }
-
-    // Create follow relationship
-    const follow = new Follow({
-      follower: currentUserId,
-      following: targetUserId
-    });
+    const { status } = result.relationship;
 
-    await follow.save();
-
-    // Update counts
-    await User.findByIdAndUpdate(currentUserId, { $inc: { followingCount: 1 } });
-    await User.findByIdAndUpdate(targetUserId, { $inc: { followersCount: 1 } });
-
-    // Create notification
-    await createNotification({
-      type: 'follow',
-      fromUser: currentUserId,
-      toUser: targetUserId,
-      message: `${req.user.name} started following you`
+    res.json({
+      message: status === 'pending' ? 'Follow request sent' : 'Successfully followed user',
+      following: status === 'accepted',
+      requested: status === 'pending'
     });
-
-    res.json({ message: 'Successfully followed user', following: true });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-// Unfollow user
+// Unfollow user (also withdraws a pending request)
 router.post('/:userId/unfollow', authMiddleware, async (req, res) => {
   try {
-    const targetUserId = req.params.userId;
-    const currentUserId = req.user.id;
-
-    const follow = await Follow.findOneAndDelete({
-      follower: currentUserId,
-      following: targetUserId
-    });
+    const result = await followService.unfollow(req.user.id, req.params.userId);
 
-    if (!follow) {
-      return res.status(400).json({ message: 'Not following this user' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    // Update counts
-    await User.findByIdAndUpdate(currentUserId, { $inc: { followingCount: -1 } });
-    await User.findByIdAndUpdate(targetUserId, { $inc: { followersCount: -1 } });
-
-    res.json({ message: 'Successfully unfollowed user', following: false });
+    res.json({ message: 'Successfully unfollowed user', following: false, requested: false });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
@@ -85,23 +48,39 @@ router.post('/:userId/unfollow', authMiddleware, async (req, res) => {
 router.get('/:userId/followers', authMiddleware, async (req, res) => {
   try {
     const userId = req.params.userId;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = { following: userId, status: 'accepted' };
 
-    const followers = await Follow.find({ following: userId })
+    const results = await Relationship.find(applyCursor(query, cursor))
       .populate('follower', 'name username avatar isVerified')
-      .sort({ createdAt: -1 })
+      .sort(cursorSort())
       .skip(skip)
-      .limit(limit);
+      .limit(limit + 1);
+
+    const { items: followers, nextCursor, hasMore } = buildPage(results, limit);
+
+    if (cursor) {
+      return res.json({
+        followers: followers.map(f => f.follower),
+        nextCursor,
+        hasMore
+      });
+    }
 
-    const total = await Follow.countDocuments({ following: userId });
+    const total = await Relationship.countDocuments(query);
 
     res.json({
       followers: followers.map(f => f.follower),
       total,
       page,
-      pages: Math.ceil(total / limit)
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -112,23 +91,39 @@ router.get('/:userId/followers', authMiddleware, async (req, res) => {
 router.get('/:userId/following', authMiddleware, async (req, res) => {
   try {
     const userId = req.params.userId;
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
 
-    const following = await Follow.find({ follower: userId })
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = { follower: userId, status: 'accepted' };
+
+    const results = await Relationship.find(applyCursor(query, cursor))
       .populate('following', 'name username avatar isVerified')
-      .sort({ createdAt: -1 })
+      .sort(cursorSort())
       .skip(skip)
-      .limit(limit);
+      .limit(limit + 1);
+
+    const { items: following, nextCursor, hasMore } = buildPage(results, limit);
+
+    if (cursor) {
+      return res.json({
+        following: following.map(f => f.following),
+        nextCursor,
+        hasMore
+      });
+    }
 
-    const total = await Follow.countDocuments({ follower: userId });
+    const total = await Relationship.countDocuments(query);
 
     res.json({
       following: following.map(f => f.following),
       total,
       page,
-      pages: Math.ceil(total / limit)
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
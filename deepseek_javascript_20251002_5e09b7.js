@@ -0,0 +1,56 @@
+// utils/diff.js
+
+// Split text into words and the whitespace between them, so joining the
+// diff values back together reproduces the original text exactly
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token.length > 0);
+
+// Word-level diff based on the longest common subsequence of tokens
+export const diffWords = (oldText, newText) => {
+  const oldTokens = tokenize(oldText);
+  const newTokens = tokenize(newText);
+  const rows = oldTokens.length;
+  const cols = newTokens.length;
+
+  // lcs[i][j] = length of the LCS of oldTokens[i..] and newTokens[j..]
+  const lcs = Array.from({ length: rows + 1 }, () => new Array(cols + 1).fill(0));
+
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lcs[i][j] = oldTokens[i] === newTokens[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  const push = (type, value) => {
+    const last = changes[changes.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      changes.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+
+  while (i < rows && j < cols) {
+    if (oldTokens[i] === newTokens[j]) {
+      push('equal', oldTokens[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', oldTokens[i]);
+      i++;
+    } else {
+      push('added', newTokens[j]);
+      j++;
+    }
+  }
+
+  while (i < rows) push('removed', oldTokens[i++]);
+  while (j < cols) push('added', newTokens[j++]);
+
+  return changes;
+};
\ No newline at end of file
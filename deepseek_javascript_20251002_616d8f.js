@@ -254,6 +254,15 @@ export class MediaFilterService {
       .toBuffer();
   }
 
+  // Heavily blurred, downscaled stand-in for media behind a content warning
+  async generateSensitivePreview(imageBuffer) {
+    return await sharp(imageBuffer)
+      .resize(480, 480, { fit: 'inside', withoutEnlargement: true })
+      .blur(40)
+      .jpeg({ quality: 60 })
+      .toBuffer();
+  }
+
   // Helper methods
   applyIntensity(baseValue, intensity) {
     return 1 + (baseValue - 1) * intensity;
@@ -28,6 +28,17 @@ const storySchema = new mongoose.Schema({
       default: 0
     },
     
+    // Content warning; sensitive media is served blurred unless the viewer opts in
+    isSensitive: {
+      type: Boolean,
+      default: false
+    },
+    sensitiveCategory: {
+      type: String,
+      enum: ['spoiler', 'graphic', 'nsfw']
+    },
+    blurredUrl: String,
+    
     // Text story properties
     text: String,
     backgroundColor: String,
@@ -109,6 +120,13 @@ const storySchema = new mongoose.Schema({
     duration: Number // How long they watched
   }],
   
+  // Reaction counts (see Reaction.refreshSummary)
+  reactionSummary: {
+    counts: { type: Map, of: Number, default: {} },
+    total: { type: Number, default: 0 },
+    topTypes: [String]
+  },
+  
   replies: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -128,9 +146,14 @@ const storySchema = new mongoose.Schema({
   // Privacy settings
   visibility: {
     type: String,
-    enum: ['public', 'followers', 'close_friends', 'private'],
+    enum: ['public', 'followers', 'close_friends', 'audience', 'private'],
     default: 'public'
   },
+  // Required with visibility 'audience'
+  audienceList: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AudienceList'
+  },
   allowReplies: {
     type: Boolean,
     default: true
@@ -185,21 +208,49 @@ storySchema.virtual('totalViews').get(function() {
 
 // Method to check if user can view story
 storySchema.methods.canView = async function(userId) {
-  if (this.visibility === 'public') return true;
-  if (this.visibility === 'private' && this.user.toString() === userId) return true;
+  // The feed calls this on stories with `user` populated
+  const authorId = this.user._id || this.user;
+  if (authorId.toString() === userId.toString()) return true;
+  if (this.visibility === 'private') return false;
+  
+  const [relationship, author] = await Promise.all([
+    mongoose.model('Relationship').findOne({
+      follower: userId,
+      following: authorId
+    }),
+    mongoose.model('User').findById(authorId).select('isPrivate')
+  ]);
   
-  const Relationship = mongoose.model('Relationship');
-  const relationship = await Relationship.findOne({
-    follower: userId,
-    following: this.user
-  });
+  const isFollower = Boolean(relationship && relationship.status === 'accepted');
+  
+  if (relationship && !relationship.canSeeStories) return false;
+  
+  if (this.visibility === 'public') {
+    // Private accounts only show stories to approved followers
+    return !(author && author.isPrivate) || isFollower;
+  }
   
   if (this.visibility === 'followers') {
-    return relationship && relationship.status === 'accepted';
+    return isFollower;
   }
   
+  // Close friends and audience lists are the author's own picks, so they're
+  // checked against the author's side rather than the viewer's follow
   if (this.visibility === 'close_friends') {
-    return relationship && relationship.isCloseFriend;
+    return Boolean(await mongoose.model('Relationship').exists({
+      follower: authorId,
+      following: userId,
+      status: 'accepted',
+      isCloseFriend: true
+    }));
+  }
+  
+  if (this.visibility === 'audience') {
+    return Boolean(this.audienceList && await mongoose.model('AudienceList').exists({
+      _id: this.audienceList,
+      owner: authorId,
+      members: userId
+    }));
   }
   
   return false;
@@ -0,0 +1,293 @@
+// tests/socket/chatAuthorization.test.js
+// Drives ChatHandler and the legacy socket/messaging.js with real socket.io
+// clients against an in-memory MongoDB. Run with `npm test`; no Redis server is
+// needed, since none of the chat paths under test read or write the cache.
+import { describe, it, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import { io as connectClient } from 'socket.io-client';
+import { ChatHandler } from '../../socket/chatHandler.js';
+import { setupSocketIO } from '../../socket/messaging.js';
+import { CHAT_ERRORS } from '../../socket/chatAuthorization.js';
+import User from '../../models/User.js';
+import Relationship from '../../models/Relationship.js';
+import Message from '../../models/Message.js';
+import Conversation from '../../models/Conversation.js';
+import cache from '../../redis/cache.js';
+
+process.env.JWT_SECRET = 'chat-authorization-test-secret';
+
+// redis/cache.js connects on import; without a server its retries would
+// otherwise surface as unhandled 'error' events
+cache.client.on('error', () => {});
+
+let mongod;
+let chatServer;
+let legacyServer;
+let chatHandler;
+let legacyIo;
+const clients = [];
+
+const listen = server => new Promise(resolve => {
+  server.listen(0, () => resolve(`http://localhost:${server.address().port}`));
+});
+
+const connect = (url, user) => new Promise((resolve, reject) => {
+  const socket = connectClient(url, {
+    auth: { token: jwt.sign({ userId: user._id.toString() }, process.env.JWT_SECRET) },
+    transports: ['websocket'],
+    forceNew: true
+  });
+  clients.push(socket);
+
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+const waitFor = (socket, event, timeout = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), timeout);
+  socket.once(event, payload => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+// Conversation rooms are joined asynchronously after connecting
+const waitForRoom = (io, socket, room, timeout = 2000) => new Promise((resolve, reject) => {
+  const { adapter } = io.of('/');
+  if (adapter.rooms.get(room)?.has(socket.id)) return resolve();
+
+  const onJoin = (joined, id) => {
+    if (joined !== room || id !== socket.id) return;
+    clearTimeout(timer);
+    adapter.off('join-room', onJoin);
+    resolve();
+  };
+  const timer = setTimeout(() => {
+    adapter.off('join-room', onJoin);
+    reject(new Error(`Timed out waiting to join ${room}`));
+  }, timeout);
+
+  adapter.on('join-room', onJoin);
+});
+
+let userCount = 0;
+const createUser = async () => {
+  userCount += 1;
+  return await User.create({
+    name: `User ${userCount}`,
+    email: `user${userCount}@example.com`,
+    password: 'not-a-real-hash'
+  });
+};
+
+const createChat = async (participants, fields = {}) => {
+  return await Conversation.create({
+    participants: participants.map(user => user._id),
+    ...fields
+  });
+};
+
+describe('chat socket authorization', () => {
+  let chatUrl;
+  let legacyUrl;
+
+  before(async () => {
+    mongod = await MongoMemoryServer.create();
+    await mongoose.connect(mongod.getUri());
+
+    chatServer = http.createServer();
+    chatHandler = new ChatHandler(chatServer);
+    chatUrl = await listen(chatServer);
+
+    legacyServer = http.createServer();
+    legacyIo = setupSocketIO(legacyServer);
+    legacyUrl = await listen(legacyServer);
+  });
+
+  afterEach(async () => {
+    clients.splice(0).forEach(socket => socket.disconnect());
+    await Promise.all([
+      Message.deleteMany({}),
+      Conversation.deleteMany({}),
+      Relationship.deleteMany({})
+    ]);
+  });
+
+  after(async () => {
+    await new Promise(resolve => chatHandler.io.close(resolve));
+    await new Promise(resolve => legacyIo.close(resolve));
+    await mongoose.disconnect();
+    await mongod.stop();
+    // Otherwise the open (or retrying) Redis client keeps the process alive
+    if (cache.client.isOpen) await cache.client.disconnect();
+  });
+
+  // Sends a message and returns the authorization_error it was rejected with
+  const sendRejected = async (url, sender, payload) => {
+    const socket = await connect(url, sender);
+    const rejection = waitFor(socket, 'authorization_error');
+    socket.emit('send_message', { content: 'hello', temporaryId: 'tmp-1', ...payload });
+    return await rejection;
+  };
+
+  it('rejects messages from someone outside the conversation', async () => {
+    const [alice, bob, mallory] = await Promise.all([createUser(), createUser(), createUser()]);
+    const conversation = await createChat([alice, bob]);
+
+    const error = await sendRejected(chatUrl, mallory, { conversationId: conversation._id.toString() });
+
+    assert.equal(error.event, 'send_message');
+    assert.equal(error.code, CHAT_ERRORS.NOT_PARTICIPANT);
+    assert.equal(error.temporaryId, 'tmp-1');
+    assert.equal(await Message.countDocuments({ conversation: conversation._id }), 0);
+  });
+
+  it('rejects messages into a blocked conversation', async () => {
+    const [alice, bob] = await Promise.all([createUser(), createUser()]);
+    const conversation = await createChat([alice, bob], { isBlocked: true, blockedBy: bob._id });
+
+    const error = await sendRejected(chatUrl, alice, { conversationId: conversation._id.toString() });
+
+    assert.equal(error.code, CHAT_ERRORS.CONVERSATION_BLOCKED);
+    assert.equal(await Message.countDocuments({ conversation: conversation._id }), 0);
+  });
+
+  it('rejects messages to a user who blocked the sender', async () => {
+    const [alice, bob] = await Promise.all([createUser(), createUser()]);
+    const conversation = await createChat([alice, bob]);
+    await Relationship.create({
+      follower: bob._id,
+      following: alice._id,
+      status: 'blocked',
+      blockedAt: new Date()
+    });
+
+    const error = await sendRejected(chatUrl, alice, { conversationId: conversation._id.toString() });
+
+    assert.equal(error.code, CHAT_ERRORS.USER_BLOCKED);
+    assert.equal(await Message.countDocuments({ conversation: conversation._id }), 0);
+  });
+
+  it('rejects messages when the relationship disallows messaging', async () => {
+    const [alice, bob] = await Promise.all([createUser(), createUser()]);
+    const conversation = await createChat([alice, bob]);
+    await Relationship.create({
+      follower: alice._id,
+      following: bob._id,
+      status: 'accepted',
+      canMessage: false
+    });
+
+    const error = await sendRejected(chatUrl, alice, { conversationId: conversation._id.toString() });
+
+    assert.equal(error.code, CHAT_ERRORS.MESSAGING_DISABLED);
+    assert.equal(await Message.countDocuments({ conversation: conversation._id }), 0);
+  });
+
+  it('only lets admins post when a group restricts posting', async () => {
+    const [admin, member, other] = await Promise.all([createUser(), createUser(), createUser()]);
+    const conversation = await createChat([admin, member, other], {
+      isGroup: true,
+      groupName: 'Admins only',
+      groupAdmins: [admin._id],
+      onlyAdminsCanPost: true
+    });
+
+    const error = await sendRejected(chatUrl, member, { conversationId: conversation._id.toString() });
+    assert.equal(error.code, CHAT_ERRORS.POSTING_RESTRICTED);
+
+    const adminSocket = await connect(chatUrl, admin);
+    await waitForRoom(chatHandler.io, adminSocket, `conversation_${conversation._id}`);
+    const delivered = waitFor(adminSocket, 'new_message');
+    adminSocket.emit('send_message', { conversationId: conversation._id.toString(), content: 'announcement' });
+
+    const { message } = await delivered;
+    assert.equal(message.sender._id, admin._id.toString());
+  });
+
+  it('rejects a reply to a message from another conversation', async () => {
+    const [alice, bob, carol] = await Promise.all([createUser(), createUser(), createUser()]);
+    const [conversation, elsewhere] = await Promise.all([
+      createChat([alice, bob]),
+      createChat([alice, carol])
+    ]);
+    const foreign = await Message.create({
+      conversation: elsewhere._id,
+      sender: carol._id,
+      content: 'not for bob'
+    });
+
+    const error = await sendRejected(chatUrl, alice, {
+      conversationId: conversation._id.toString(),
+      replyTo: foreign._id.toString()
+    });
+
+    assert.equal(error.code, CHAT_ERRORS.INVALID_REQUEST);
+    assert.equal(await Message.countDocuments({ conversation: conversation._id }), 0);
+  });
+
+  it('rejects reactions to a message in a conversation the user is not in', async () => {
+    const [alice, bob, mallory] = await Promise.all([createUser(), createUser(), createUser()]);
+    const conversation = await createChat([alice, bob]);
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: alice._id,
+      content: 'private'
+    });
+
+    const socket = await connect(chatUrl, mallory);
+    const rejection = waitFor(socket, 'authorization_error');
+    socket.emit('react_to_message', { messageId: message._id.toString(), reactionType: 'like' });
+
+    const error = await rejection;
+    assert.equal(error.event, 'react_to_message');
+    assert.equal(error.code, CHAT_ERRORS.NOT_PARTICIPANT);
+    assert.equal(error.messageId, message._id.toString());
+  });
+
+  describe('legacy socket/messaging.js', () => {
+    it('sends as the authenticated user whatever senderId the client claims', async () => {
+      const [alice, bob] = await Promise.all([createUser(), createUser()]);
+      const conversation = await createChat([alice, bob]);
+
+      const socket = await connect(legacyUrl, alice);
+      const sent = waitFor(socket, 'message_sent');
+      socket.emit('send_message', {
+        conversationId: conversation._id.toString(),
+        senderId: bob._id.toString(),
+        content: 'spoofed?'
+      });
+
+      const { message } = await sent;
+      assert.equal(message.sender._id, alice._id.toString());
+
+      const stored = await Message.findById(message._id);
+      assert.equal(stored.sender.toString(), alice._id.toString());
+    });
+
+    it('rejects messages from someone outside the conversation', async () => {
+      const [alice, bob, mallory] = await Promise.all([createUser(), createUser(), createUser()]);
+      const conversation = await createChat([alice, bob]);
+
+      const error = await sendRejected(legacyUrl, mallory, {
+        conversationId: conversation._id.toString(),
+        senderId: alice._id.toString()
+      });
+
+      assert.equal(error.code, CHAT_ERRORS.NOT_PARTICIPANT);
+      assert.equal(await Message.countDocuments({ conversation: conversation._id }), 0);
+    });
+
+    it('refuses connections without a token', async () => {
+      const socket = connectClient(legacyUrl, { transports: ['websocket'], forceNew: true });
+      clients.push(socket);
+
+      const error = await waitFor(socket, 'connect_error');
+      assert.equal(error.message, 'Authentication error');
+    });
+  });
+});
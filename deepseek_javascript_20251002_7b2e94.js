@@ -0,0 +1,30 @@
+// routes/feed.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { FeedService } from '../services/feedService.js';
+import { getPaginationParams } from '../utils/pagination.js';
+
+const router = express.Router();
+const feedService = new FeedService();
+
+// Get home feed (followed accounts and relationships only)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const { cursor, page, limit, invalidCursor } = getPaginationParams(req.query, {
+      defaultLimit: 10,
+      maxLimit: 50
+    });
+
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const feed = await feedService.getFeed(req.user.id, { cursor, page, limit });
+
+    res.json(feed);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
\ No newline at end of file
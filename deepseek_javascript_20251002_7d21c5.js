@@ -0,0 +1,580 @@
+// services/commentService.js
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+import Notification from '../models/Notification.js';
+import { FeedService } from './feedService.js';
+import { BlockService } from './blockService.js';
+import { encodeCursor, decodeCursor, applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+
+// Single write path for comments on every target type; routes/comments.js,
+// the post comment routes and the GraphQL addComment mutation all go through here
+export class CommentService {
+  constructor() {
+    this.maxDepth = 5;
+    this.feedService = new FeedService();
+    this.blockService = new BlockService();
+
+    // Tree sorts; the field doubles as the cursor field
+    this.treeSorts = {
+      top: { field: 'likeCount', order: -1 },
+      newest: { field: 'createdAt', order: -1 },
+      controversial: { field: 'controversyScore', order: -1 }
+    };
+  }
+
+  // Returns { comment } on success or { error, status }
+  async createComment({ targetType, targetId, userId, content, parentCommentId = null, media }) {
+    const target = await this.validateTarget(targetType, targetId, userId);
+    if (!target) {
+      return { error: 'Target not found', status: 404 };
+    }
+
+    if (!await this.canComment(target, targetType, userId)) {
+      return { error: 'Comments are restricted on this post', status: 403 };
+    }
+
+    const mentions = await this.extractMentions(content, userId);
+
+    // Calculate depth for nested replies
+    let depth = 0;
+    let parentComment = null;
+
+    if (parentCommentId) {
+      parentComment = await Comment.findOne({
+        _id: parentCommentId,
+        targetType,
+        targetId
+      });
+
+      if (!parentComment) {
+        return { error: 'Parent comment not found', status: 404 };
+      }
+
+      if (await this.blockService.isBlocked(userId, parentComment.user)) {
+        return { error: 'Parent comment not found', status: 404 };
+      }
+
+      depth = parentComment.depth + 1;
+
+      // Limit reply depth to prevent infinite nesting
+      if (depth > this.maxDepth) {
+        return { error: 'Maximum reply depth reached', status: 400 };
+      }
+    }
+
+    const comment = new Comment({
+      targetType,
+      targetId,
+      user: userId,
+      content,
+      media,
+      parentComment: parentComment ? parentComment._id : null,
+      depth,
+      mentions
+    });
+
+    // The content owner's keyword filter hides matches without telling the commenter
+    if (await this.matchesKeywordFilter(content, target.user, userId)) {
+      comment.isHidden = true;
+      comment.hiddenReason = 'keyword_filter';
+      comment.hiddenAt = new Date();
+    }
+
+    await comment.save();
+    await comment.populate('user', 'name username avatar isVerified');
+
+    // Update parent comment's replies if this is a reply
+    if (parentComment) {
+      parentComment.replies.push(comment._id);
+      await parentComment.updateReplyCount();
+    }
+
+    await this.updateTargetCommentCount(targetType, targetId);
+
+    // Filtered comments stay quiet. The comment is already saved, so a failed
+    // notification is logged rather than reported as a failed comment.
+    if (!comment.isHidden) {
+      try {
+        await this.createCommentNotifications(comment, target, parentComment, mentions);
+      } catch (error) {
+        console.error('Error creating comment notifications:', error);
+      }
+    }
+
+    return { comment };
+  }
+
+  // Edits go through the same checks as new comments: blocks and the post's
+  // commenting restriction, block-filtered mentions and the owner's keyword filter.
+  // Returns { comment } on success or { error, status }
+  async editComment(commentId, userId, { content, media }) {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) {
+      return { error: 'Comment not found', status: 404 };
+    }
+
+    // Only the author can edit
+    const comment = await Comment.findOne({ _id: commentId, user: userId });
+    if (!comment) {
+      return { error: 'Comment not found', status: 404 };
+    }
+
+    const target = await this.findTarget(comment.targetType, comment.targetId);
+    if (!target) {
+      return { error: 'Comment not found', status: 404 };
+    }
+
+    if (!await this.canComment(target, comment.targetType, userId)) {
+      return { error: 'Comments are restricted on this post', status: 403 };
+    }
+
+    const previousMentions = new Set(comment.mentions.map(id => id.toString()));
+    const mentions = await this.extractMentions(content, userId);
+    const now = new Date();
+
+    comment.content = content;
+    comment.media = media;
+    comment.mentions = mentions;
+    comment.isEdited = true;
+    comment.editedAt = now;
+    comment.updatedAt = now;
+
+    // Re-run the owner's keyword filter; comments the owner hid stay hidden
+    if (await this.matchesKeywordFilter(content, target.user, userId)) {
+      if (!comment.isHidden) {
+        comment.isHidden = true;
+        comment.hiddenReason = 'keyword_filter';
+        comment.hiddenAt = now;
+        comment.isPinned = false;
+        comment.pinnedAt = undefined;
+      }
+    } else if (comment.hiddenReason === 'keyword_filter') {
+      comment.isHidden = false;
+      comment.hiddenReason = undefined;
+      comment.hiddenAt = undefined;
+    }
+
+    await comment.save();
+    await comment.populate('user', 'name username avatar isVerified');
+    await this.updateTargetCommentCount(comment.targetType, comment.targetId);
+
+    // Only people who weren't mentioned before get notified
+    const addedMentions = mentions.filter(id => !previousMentions.has(id.toString()));
+    if (!comment.isHidden && addedMentions.length > 0) {
+      try {
+        await Notification.insertMany(this.buildMentionNotifications(comment, addedMentions));
+      } catch (error) {
+        console.error('Error creating comment notifications:', error);
+      }
+    }
+
+    return { comment };
+  }
+
+  // Target the user may see (and so comment on or read comments of)
+  async validateTarget(targetType, targetId, userId) {
+    const target = await this.findTarget(targetType, targetId);
+    if (!target) return null;
+
+    if (targetType === 'post') {
+      if (target.status === 'draft' || target.status === 'scheduled') return null;
+      return await this.feedService.canViewPost(target, userId) ? target : null;
+    }
+
+    return target;
+  }
+
+  async findTarget(targetType, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+    const models = {
+      post: Post,
+      story: mongoose.model('Story'),
+      video: mongoose.model('Video')
+    };
+
+    const Model = models[targetType];
+    if (!Model) return null;
+
+    return await Model.findById(targetId);
+  }
+
+  isOwner(target, userId) {
+    // GraphQL resolves comments on posts with `user` populated
+    const ownerId = target.user._id || target.user;
+    return ownerId.toString() === userId.toString();
+  }
+
+  // Per-post commenting restriction; owners can always comment.
+  // Nobody can comment on content of someone they're blocked with.
+  async canComment(target, targetType, userId) {
+    if (this.isOwner(target, userId)) return true;
+    if (await this.blockService.isBlocked(userId, target.user)) return false;
+    if (targetType !== 'post') return true;
+
+    switch (target.commentPermission || 'everyone') {
+      case 'nobody':
+        return false;
+
+      case 'followers':
+        return Boolean(await Relationship.exists({
+          follower: userId,
+          following: target.user,
+          status: 'accepted'
+        }));
+
+      case 'friends':
+        return Boolean(await Relationship.exists({
+          follower: userId,
+          following: target.user,
+          status: 'accepted',
+          isFriend: true
+        }));
+
+      default:
+        return true;
+    }
+  }
+
+  async matchesKeywordFilter(content, ownerId, authorId) {
+    if (ownerId.toString() === authorId.toString()) return false;
+
+    const owner = await User.findById(ownerId).select('commentFilterKeywords');
+    if (!owner || owner.commentFilterKeywords.length === 0) return false;
+
+    const text = (content || '').toLowerCase();
+    return owner.commentFilterKeywords.some(keyword => keyword && text.includes(keyword));
+  }
+
+  // Comment on content the user owns, or null
+  async findModeratableComment(commentId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(commentId)) return null;
+
+    const comment = await Comment.findById(commentId);
+    if (!comment) return null;
+
+    const target = await this.findTarget(comment.targetType, comment.targetId);
+    return target && this.isOwner(target, userId) ? comment : null;
+  }
+
+  // Query clause for a listing: hidden comments are only shown to the
+  // content owner and to the person who wrote them, and comments by
+  // anyone the viewer is blocked with are left out
+  async visibilityFilter(target, viewerId) {
+    const blocked = await this.blockService.getBlockedIds(viewerId);
+    const filter = blocked.length > 0 ? { user: { $nin: blocked } } : {};
+
+    if (this.isOwner(target, viewerId)) return filter;
+
+    // Cast up front so the clause also works in aggregation pipelines
+    return {
+      ...filter,
+      $or: [
+        { isHidden: false },
+        { user: new mongoose.Types.ObjectId(viewerId.toString()) }
+      ]
+    };
+  }
+
+  async setHidden(comment, hidden) {
+    comment.isHidden = hidden;
+    comment.hiddenReason = hidden ? 'owner' : undefined;
+    comment.hiddenAt = hidden ? new Date() : undefined;
+
+    // A hidden comment can't stay pinned
+    if (hidden) {
+      comment.isPinned = false;
+      comment.pinnedAt = undefined;
+    }
+
+    await comment.save();
+    await this.updateTargetCommentCount(comment.targetType, comment.targetId);
+
+    return comment;
+  }
+
+  // Delete a comment with its replies and keep counts in step
+  async deleteComment(comment) {
+    if (comment.parentComment === null) {
+      await Comment.deleteMany({ parentComment: comment._id });
+    } else {
+      // If it's a reply, remove from parent's replies array
+      const parentComment = await Comment.findById(comment.parentComment);
+      if (parentComment) {
+        parentComment.replies = parentComment.replies.filter(
+          replyId => replyId.toString() !== comment._id.toString()
+        );
+        await parentComment.updateReplyCount();
+      }
+    }
+
+    await Comment.findByIdAndDelete(comment._id);
+    await this.updateTargetCommentCount(comment.targetType, comment.targetId);
+  }
+
+  // Pin a top-level comment, replacing any previous pin on the same target
+  async pinComment(comment) {
+    if (comment.parentComment !== null) {
+      return { error: 'Only top-level comments can be pinned', status: 400 };
+    }
+
+    if (comment.isHidden) {
+      return { error: 'Hidden comments cannot be pinned', status: 400 };
+    }
+
+    await Comment.updateMany(
+      {
+        targetType: comment.targetType,
+        targetId: comment.targetId,
+        isPinned: true,
+        _id: { $ne: comment._id }
+      },
+      { $set: { isPinned: false }, $unset: { pinnedAt: '' } }
+    );
+
+    comment.isPinned = true;
+    comment.pinnedAt = new Date();
+    await comment.save();
+
+    return { comment };
+  }
+
+  async unpinComment(comment) {
+    comment.isPinned = false;
+    comment.pinnedAt = undefined;
+    await comment.save();
+
+    return comment;
+  }
+
+  // One page of comments under `parentId` (top level when null), each with its
+  // first `replyLimit` replies nested `depth` levels deep. Replies are loaded with
+  // one query per level, and branches with more children get a continuation token.
+  async getCommentTree(target, targetType, viewerId, options) {
+    const { parentId = null, cursor = null, sort, limit, replyLimit, depth } = options;
+    const sortOptions = this.treeSorts[sort];
+    const visibility = await this.visibilityFilter(target, viewerId);
+    const isFirstTopLevelPage = !parentId && !cursor;
+
+    const query = {
+      targetType,
+      targetId: target._id,
+      parentComment: parentId,
+      ...visibility
+    };
+
+    // The pinned comment leads the first top-level page
+    let pinned = null;
+    if (!parentId) {
+      query.isPinned = { $ne: true };
+
+      if (isFirstTopLevelPage) {
+        pinned = await Comment.findOne({
+          ...visibility,
+          targetType,
+          targetId: target._id,
+          isPinned: true,
+          isHidden: false
+        }).lean();
+      }
+    }
+
+    const results = await Comment.find(applyCursor(query, cursor, sortOptions))
+      .sort(cursorSort(sortOptions))
+      .limit(limit + 1)
+      .lean();
+
+    const { items, hasMore } = buildPage(results, limit, sortOptions.field);
+    const comments = pinned ? [pinned, ...items] : items;
+
+    // Expand one level at a time
+    const nodes = [...comments];
+    let level = comments;
+
+    for (let current = 0; current < depth && level.length > 0; current++) {
+      level = await this.attachReplies(level, visibility, sort, replyLimit);
+      nodes.push(...level);
+    }
+
+    // Unexpanded branches at the bottom of the tree
+    level.forEach(node => {
+      node.replies = [];
+      if (node.replyCount > 0) {
+        node.continuation = this.encodeContinuation(node._id, sort, null);
+      }
+    });
+
+    await Comment.populate(nodes, [
+      { path: 'user', select: 'name username avatar isVerified' },
+      { path: 'mentions', select: 'name username' }
+    ]);
+
+    const last = items[items.length - 1];
+
+    return {
+      comments,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(last, sortOptions.field) : null,
+      continuation: parentId && hasMore ? this.encodeContinuation(parentId, sort, last) : null
+    };
+  }
+
+  // Nest the first replies under each parent; returns the loaded replies
+  async attachReplies(parents, visibility, sort, replyLimit) {
+    const sortOptions = this.treeSorts[sort];
+
+    const groups = await Comment.aggregate([
+      {
+        $match: {
+          parentComment: { $in: parents.map(parent => parent._id) },
+          ...visibility
+        }
+      },
+      {
+        $group: {
+          _id: '$parentComment',
+          replies: {
+            $topN: {
+              n: replyLimit + 1,
+              sortBy: cursorSort(sortOptions),
+              output: '$$ROOT'
+            }
+          }
+        }
+      }
+    ]);
+
+    const repliesByParent = new Map(
+      groups.map(group => [group._id.toString(), group.replies])
+    );
+    const loaded = [];
+
+    parents.forEach(parent => {
+      const replies = repliesByParent.get(parent._id.toString()) || [];
+      const hasMore = replies.length > replyLimit;
+
+      parent.replies = hasMore ? replies.slice(0, replyLimit) : replies;
+      if (hasMore) {
+        parent.continuation = this.encodeContinuation(
+          parent._id,
+          sort,
+          parent.replies[parent.replies.length - 1]
+        );
+      }
+
+      loaded.push(...parent.replies);
+    });
+
+    return loaded;
+  }
+
+  // Opaque token for loading more children of one comment
+  encodeContinuation(parentId, sort, lastChild) {
+    const payload = {
+      p: parentId.toString(),
+      s: sort,
+      c: lastChild ? encodeCursor(lastChild, this.treeSorts[sort].field) : null
+    };
+
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  decodeContinuation(token) {
+    try {
+      const { p, s, c } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+
+      if (!mongoose.Types.ObjectId.isValid(p) || !this.treeSorts[s]) return null;
+
+      const cursor = c ? decodeCursor(c) : null;
+      if (c && !cursor) return null;
+
+      return { parentId: new mongoose.Types.ObjectId(p), sort: s, cursor };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Users blocked either way with the author can't be mentioned
+  async extractMentions(content, authorId) {
+    const mentionRegex = /@(\w+)/g;
+    const mentions = [];
+    let match;
+
+    while ((match = mentionRegex.exec(content)) !== null) {
+      const user = await User.findOne({ username: match[1] });
+      if (user) {
+        mentions.push(user._id);
+      }
+    }
+
+    return await this.blockService.filterBlocked(authorId, mentions);
+  }
+
+  async updateTargetCommentCount(targetType, targetId) {
+    const models = {
+      post: Post,
+      story: mongoose.model('Story'),
+      video: mongoose.model('Video')
+    };
+
+    const Model = models[targetType];
+    if (!Model) return;
+
+    // Public counts leave out hidden comments
+    const commentCount = await Comment.countDocuments({
+      targetType,
+      targetId,
+      isHidden: { $ne: true }
+    });
+    await Model.findByIdAndUpdate(targetId, { commentCount });
+  }
+
+  async createCommentNotifications(comment, target, parentComment, mentions) {
+    const notifications = [];
+
+    // Notification to target owner (if not own content)
+    if (target.user.toString() !== comment.user._id.toString()) {
+      notifications.push({
+        user: target.user,
+        type: 'comment',
+        fromUser: comment.user._id,
+        [comment.targetType]: comment.targetId,
+        comment: comment._id,
+        message: `${comment.user.name} commented on your ${comment.targetType}`
+      });
+    }
+
+    // Notification to parent comment owner (if replying)
+    if (parentComment && parentComment.user.toString() !== comment.user._id.toString()) {
+      notifications.push({
+        user: parentComment.user,
+        type: 'comment_reply',
+        fromUser: comment.user._id,
+        comment: comment._id,
+        parentComment: parentComment._id,
+        message: `${comment.user.name} replied to your comment`
+      });
+    }
+
+    notifications.push(...this.buildMentionNotifications(comment, mentions));
+
+    if (notifications.length > 0) {
+      await Notification.insertMany(notifications);
+    }
+  }
+
+  // Notifications to mentioned users
+  buildMentionNotifications(comment, mentions) {
+    return mentions
+      .filter(mentionedUserId => mentionedUserId.toString() !== comment.user._id.toString())
+      .map(mentionedUserId => ({
+        user: mentionedUserId,
+        type: 'mention',
+        fromUser: comment.user._id,
+        comment: comment._id,
+        message: `${comment.user.name} mentioned you in a comment`
+      }));
+  }
+}
@@ -4,28 +4,64 @@ import { authMiddleware } from '../middleware/auth.js';
 import Story from '../models/Story.js';
 import Highlight from '../models/Highlight.js';
 import Notification from '../models/Notification.js';
+import Relationship from '../models/Relationship.js';
+import { SensitiveMediaService } from '../services/sensitiveMediaService.js';
+import { BlockService } from '../services/blockService.js';
+import { AudienceService } from '../services/audienceService.js';
 
 const router = express.Router();
+const sensitiveMediaService = new SensitiveMediaService();
+const blockService = new BlockService();
+const audienceService = new AudienceService();
+const STORY_VISIBILITIES = Story.schema.path('visibility').enumValues;
 
 // Create story with multiple media
 router.post('/', authMiddleware, async (req, res) => {
   try {
-    const { media, visibility, allowReplies, music, filter, stickers } = req.body;
+    const { media, visibility, audienceList, allowReplies, music, filter, stickers } = req.body;
     
     if (!media || media.length === 0) {
       return res.status(400).json({ message: 'At least one media item is required' });
     }
 
+    const audience = await audienceService.resolveVisibility(
+      req.user.id,
+      visibility || 'public',
+      audienceList,
+      STORY_VISIBILITIES
+    );
+    if (audience.error) {
+      return res.status(audience.status).json({ message: audience.error });
+    }
+
+    // Each item can carry its own content warning
+    const items = [];
+    for (const [index, item] of media.entries()) {
+      const { sensitivity, error } = sensitiveMediaService.buildSensitivity(
+        item.isSensitive,
+        item.sensitiveCategory
+      );
+
+      if (error) {
+        return res.status(400).json({ message: `Media item ${index + 1}: ${error}` });
+      }
+
+      items.push({ ...item, ...sensitivity, blurredUrl: undefined, order: index });
+    }
+
+    await sensitiveMediaService.addBlurredPreviews(
+      items.filter(item => item.isSensitive),
+      req.user.id
+    );
+
     // Set expiration (24 hours from now)
     const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
 
     const story = new Story({
       user: req.user.id,
-      media: media.map((item, index) => ({
-        ...item,
-        order: index
-      })),
-      visibility: visibility || 'public',
+      media: items,
+      visibility: audience.visibility,
+      audienceList: audience.audienceList,
       allowReplies: allowReplies !== undefined ? allowReplies : true,
       expiresAt
     });
@@ -44,22 +80,36 @@ router.post('/', authMiddleware, async (req, res) => {
 router.get('/feed', authMiddleware, async (req, res) => {
   try {
     // Get users that current user follows
-    const Relationship = mongoose.model('Relationship');
-    const following = await Relationship.find({ 
-      follower: req.user.id,
-      status: 'accepted'
-    }).select('following');
-    
-    const followingIds = following.map(f => f.following);
+    const [following, hiddenIds] = await Promise.all([
+      Relationship.find({
+        follower: req.user.id,
+        status: 'accepted'
+      }).select('following'),
+      blockService.getHiddenAuthorIds(req.user.id)
+    ]);
+
+    // Muted accounts stay followed but their stories are left out
+    const hidden = new Set(hiddenIds.map(id => id.toString()));
+    const followingIds = following
+      .map(f => f.following)
+      .filter(id => !hidden.has(id.toString()));
     followingIds.push(req.user.id); // Include own stories
 
-    const stories = await Story.find({
+    const candidates = await Story.find({
       user: { $in: followingIds },
       expiresAt: { $gt: new Date() }
     })
     .populate('user', 'name username avatar isVerified')
     .sort({ createdAt: -1 });
 
+    // Followers-only, close friends and audience stories each need their own check
+    const viewable = await Promise.all(candidates.map(story =>
+      story.visibility === 'public' || story.canView(req.user.id)
+    ));
+    const stories = candidates.filter((story, index) => viewable[index]);
+
+    const optIn = await sensitiveMediaService.getOptIn(req.user.id);
+
     // Group stories by user and check view status
     const storiesByUser = await Promise.all(
       Object.values(
@@ -82,6 +132,9 @@ router.get('/feed', authMiddleware, async (req, res) => {
         
         return {
           ...userStories,
+          stories: userStories.stories.map(story =>
+            sensitiveMediaService.maskStory(story.toJSON(), req.user.id, optIn)
+          ),
           hasUnviewed,
           totalStories: userStories.stories.length
         };
@@ -101,7 +154,7 @@ router.post('/:storyId/view', authMiddleware, async (req, res) => {
     const { duration, mediaIndex } = req.body;
     const story = await Story.findById(req.params.storyId);
     
-    if (!story) {
+    if (!story || await blockService.isBlocked(req.user.id, story.user)) {
       return res.status(404).json({ message: 'Story not found' });
     }
 
@@ -136,10 +189,16 @@ router.post('/:storyId/view', authMiddleware, async (req, res) => {
       }
     }
 
+    const nextStory = await getNextStory(story, req.user.id);
+
     res.json({ 
       viewed: true, 
       viewsCount: story.views.length,
-      nextStory: await getNextStory(story, req.user.id)
+      nextStory: nextStory && sensitiveMediaService.maskStory(
+        nextStory.toJSON(),
+        req.user.id,
+        await sensitiveMediaService.getOptIn(req.user.id)
+      )
     });
 
   } catch (error) {
@@ -153,7 +212,7 @@ router.post('/:storyId/reply', authMiddleware, async (req, res) => {
     const { message, mediaIndex } = req.body;
     const story = await Story.findById(req.params.storyId);
     
-    if (!story) {
+    if (!story || await blockService.isBlocked(req.user.id, story.user)) {
       return res.status(404).json({ message: 'Story not found' });
     }
 
@@ -330,15 +389,21 @@ router.post('/:storyId/highlight', authMiddleware, async (req, res) => {
   }
 });
 
-// Helper function to get next story
+// Helper function to get next story the viewer may see; stories they can't
+// (close friends, audience lists, followers-only) are skipped
 async function getNextStory(currentStory, userId) {
+  if (await blockService.isBlocked(userId, currentStory.user)) return null;
+
   const stories = await Story.find({
     user: currentStory.user,
     expiresAt: { $gt: new Date() },
     createdAt: { $gt: currentStory.createdAt }
   })
-  .sort({ createdAt: 1 })
-  .limit(1);
+  .sort({ createdAt: 1 });
+
+  for (const story of stories) {
+    if (await story.canView(userId)) return story;
+  }
 
-  return stories.length > 0 ? stories[0] : null;
+  return null;
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+// models/SavedCollection.js
+import mongoose from 'mongoose';
+
+const savedCollectionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    maxlength: 50,
+    trim: true
+  },
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  isPrivate: {
+    type: Boolean,
+    default: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+savedCollectionSchema.index({ user: 1, order: 1 });
+
+export default mongoose.model('SavedCollection', savedCollectionSchema);
\ No newline at end of file
@@ -9,8 +9,9 @@ const notificationSchema = new mongoose.Schema({
     type: String,
     enum: [
       'like', 'comment', 'share', 'follow', 
-      'mention', 'message', 'story_view',
-      'post_approved', 'tagged'
+      'comment_reply', 'mention', 'message', 'story_view',
+      'post_approved', 'tagged', 'poll_closed', 'reaction',
+      'follow_request', 'follow_accept'
     ],
     required: true
   },
@@ -30,6 +31,11 @@ const notificationSchema = new mongoose.Schema({
   message: { type: String, required: true },
   isRead: { type: Boolean, default: false },
   
+  // Buttons the client shows (follow requests offer accept/decline);
+  // actionTaken records the outcome so the buttons can be replaced
+  actions: [{ type: String, enum: ['accept', 'decline'] }],
+  actionTaken: { type: String, enum: ['accepted', 'declined'] },
+  
   createdAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,48 @@
+// routes/devices.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { DeviceService } from '../services/deviceService.js';
+
+const router = express.Router();
+const deviceService = new DeviceService();
+
+// Current user's devices, most recently seen first
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    res.json({ devices: await deviceService.listDevices(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Register a device or update its push token ({ deviceId, platform, pushToken })
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const result = await deviceService.register(req.user.id, req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.status(result.created ? 201 : 200).json(result.device);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Sign a device out of sync and push
+router.delete('/:deviceId', authMiddleware, async (req, res) => {
+  try {
+    const result = await deviceService.removeDevice(req.user.id, req.params.deviceId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Device removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
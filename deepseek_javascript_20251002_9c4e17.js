@@ -0,0 +1,91 @@
+// services/sensitiveMediaService.js
+import User from '../models/User.js';
+import { MediaProcessor } from './mediaProcessor.js';
+
+export class SensitiveMediaService {
+  constructor() {
+    this.categories = ['spoiler', 'graphic', 'nsfw'];
+    this.mediaProcessor = new MediaProcessor();
+  }
+
+  // Validate a content warning from a request body.
+  // Returns { sensitivity } on success or { error } with a client-facing message.
+  buildSensitivity(isSensitive, category) {
+    // Multipart requests send booleans as strings
+    if (isSensitive !== true && isSensitive !== 'true') {
+      return { sensitivity: { isSensitive: false, sensitiveCategory: undefined } };
+    }
+
+    if (!this.categories.includes(category)) {
+      return { error: `Sensitive content needs a category: ${this.categories.join(', ')}` };
+    }
+
+    return { sensitivity: { isSensitive: true, sensitiveCategory: category } };
+  }
+
+  // Add blurred previews to already-uploaded media (images by URL, videos by thumbnail).
+  // Media that isn't the user's own upload gets no preview, so it stays withheld.
+  async addBlurredPreviews(media, userId) {
+    for (const item of media) {
+      const source = item.type === 'image' ? item.url : item.thumbnail;
+      if (item.blurredUrl || !source) continue;
+      if (!this.mediaProcessor.isOwnMediaUrl(source, userId)) continue;
+
+      item.blurredUrl = await this.mediaProcessor.uploadBlurredPreviewFromUrl(source, userId);
+    }
+
+    return media;
+  }
+
+  // Categories the viewer has opted in to seeing unblurred
+  async getOptIn(userId) {
+    const user = await User.findById(userId).select('sensitiveMediaOptIn');
+    return user ? user.sensitiveMediaOptIn : [];
+  }
+
+  canSeeOriginal(content, viewerId, optIn = []) {
+    if (!content.isSensitive) return true;
+
+    const authorId = (content.user._id || content.user).toString();
+    if (authorId === viewerId.toString()) return true;
+
+    return optIn.includes(content.sensitiveCategory);
+  }
+
+  // Plain post for a viewer: sensitive media is swapped for its blurred preview
+  maskPost(post, viewerId, optIn = []) {
+    if (this.canSeeOriginal(post, viewerId, optIn)) return post;
+
+    const { image, video, ...rest } = post;
+
+    return {
+      ...rest,
+      media: (post.media || []).map(item => this.maskMediaItem(item)),
+      mediaBlurred: true
+    };
+  }
+
+  // Plain story for a viewer; each media item carries its own warning
+  maskStory(story, viewerId, optIn = []) {
+    return {
+      ...story,
+      media: story.media.map(item =>
+        this.canSeeOriginal({ ...item, user: story.user }, viewerId, optIn)
+          ? item
+          : this.maskMediaItem(item)
+      )
+    };
+  }
+
+  // Media without a preview yet is withheld entirely rather than sent unblurred
+  maskMediaItem(item) {
+    const { blurredUrl, ...rest } = item;
+
+    return {
+      ...rest,
+      url: blurredUrl || null,
+      thumbnail: blurredUrl || null,
+      blurred: true
+    };
+  }
+}
@@ -0,0 +1,391 @@
+// services/feedService.js
+import Post from '../models/Post.js';
+import Relationship from '../models/Relationship.js';
+import AudienceList from '../models/AudienceList.js';
+import User from '../models/User.js';
+import cache from '../redis/cache.js';
+import { SensitiveMediaService } from './sensitiveMediaService.js';
+import { BlockService } from './blockService.js';
+import { AudienceService } from './audienceService.js';
+import { applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+
+export class FeedService {
+  constructor() {
+    this.cacheTimeout = 300; // 5 minutes
+    this.defaultLimit = 10;
+    this.maxLimit = 50;
+    this.sensitiveMediaService = new SensitiveMediaService();
+    this.blockService = new BlockService();
+    this.audienceService = new AudienceService();
+  }
+
+  // Get personalized home feed for a user
+  async getFeed(userId, options = {}) {
+    const { cursor = null } = options;
+    const page = options.page || 1;
+    const limit = Math.min(options.limit || this.defaultLimit, this.maxLimit);
+    const skip = cursor ? 0 : (page - 1) * limit;
+    const isFirstPage = !cursor && page === 1;
+
+    // Only the first page is cached (one feed key per user)
+    if (isFirstPage) {
+      const cachedFeed = await cache.getCachedUserFeed(userId);
+      if (cachedFeed && cachedFeed.limit === limit) {
+        return this.withPresentedPosts(cachedFeed, userId);
+      }
+    }
+
+    const audience = await this.getAudience(userId);
+    const query = this.buildVisibilityQuery(userId, audience);
+
+    const results = await Post.find(applyCursor(query, cursor))
+      .published()
+      .populate('user', 'name username avatar isVerified')
+      .sort(cursorSort())
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items: posts, nextCursor, hasMore } = buildPage(results, limit);
+
+    if (cursor) {
+      return this.withPresentedPosts({ posts, limit, nextCursor, hasMore }, userId);
+    }
+
+    const total = await Post.countDocuments(query).published();
+    const feed = {
+      posts,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
+    };
+
+    if (isFirstPage) {
+      await cache.cacheUserFeed(userId, feed, this.cacheTimeout);
+    }
+
+    return this.withPresentedPosts(feed, userId);
+  }
+
+  // Posts are shaped per request so quote cards never outlive the original's
+  // visibility and the cache never holds viewer-specific media
+  async withPresentedPosts(feed, userId) {
+    return { ...feed, posts: await this.presentPosts(feed.posts, userId) };
+  }
+
+  // Profile timeline: pinned posts (in pin order) lead the first page, then the rest newest first.
+  // Returns null when the profile doesn't exist.
+  async getProfilePosts(profileUserId, viewerId, options = {}) {
+    const { cursor = null } = options;
+    const page = options.page || 1;
+    const limit = Math.min(options.limit || this.defaultLimit, this.maxLimit);
+    const skip = cursor ? 0 : (page - 1) * limit;
+
+    const profile = await User.findById(profileUserId).select('pinnedPosts');
+    if (!profile) return null;
+
+    const query = await this.buildProfileQuery(profileUserId, viewerId);
+    if (!query) {
+      return { posts: [], total: 0, page, limit, pages: 0, nextCursor: null, hasMore: false };
+    }
+
+    // Pinned posts are listed once, at the top, so they're skipped in the timeline
+    query._id = { $nin: profile.pinnedPosts };
+
+    const results = await Post.find(applyCursor(query, cursor))
+      .published()
+      .populate('user', 'name username avatar isVerified')
+      .sort(cursorSort())
+      .skip(skip)
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(results, limit);
+    items.forEach(post => { post.$locals.pinned = false; });
+
+    const isFirstPage = !cursor && page === 1;
+    const pinned = isFirstPage ? await this.getPinnedPosts(profile, viewerId) : [];
+    const posts = [...pinned, ...items];
+
+    if (cursor) {
+      return { posts, limit, nextCursor, hasMore };
+    }
+
+    const total = await Post.countDocuments(query).published();
+
+    return {
+      posts,
+      total,
+      page,
+      limit,
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  // Visible pinned posts in pin order, flagged with $locals.pinned
+  async getPinnedPosts(profile, viewerId) {
+    if (profile.pinnedPosts.length === 0) return [];
+
+    const posts = await Post.find({ _id: { $in: profile.pinnedPosts }, user: profile._id })
+      .published()
+      .populate('user', 'name username avatar isVerified');
+
+    const order = profile.pinnedPosts.map(id => id.toString());
+    const visible = await this.filterVisiblePosts(posts, viewerId);
+
+    return visible
+      .sort((a, b) => order.indexOf(a._id.toString()) - order.indexOf(b._id.toString()))
+      .map(post => {
+        post.$locals.pinned = true;
+        return post;
+      });
+  }
+
+  // Posts by one author that the viewer may see, or null if none are visible.
+  // Mirrors canViewPost as a query.
+  async buildProfileQuery(profileUserId, viewerId) {
+    if (profileUserId.toString() === viewerId.toString()) {
+      return { user: profileUserId };
+    }
+
+    const [relationship, blocked, author] = await Promise.all([
+      Relationship.findOne({ follower: viewerId, following: profileUserId }),
+      this.blockService.isBlocked(viewerId, profileUserId),
+      User.findById(profileUserId).select('isPrivate')
+    ]);
+
+    if (blocked || (relationship && !relationship.canSeePosts)) {
+      return null;
+    }
+
+    if (!this.isApprovedViewer(author, relationship)) {
+      return null;
+    }
+
+    const isFriend = Boolean(
+      relationship &&
+      relationship.status === 'accepted' &&
+      relationship.isFriend
+    );
+
+    const [isCloseFriend, lists] = await Promise.all([
+      Relationship.exists({
+        follower: profileUserId,
+        following: viewerId,
+        status: 'accepted',
+        isCloseFriend: true
+      }),
+      AudienceList.find({ owner: profileUserId, members: viewerId }).distinct('_id')
+    ]);
+
+    const visibilities = isFriend ? ['public', 'friends'] : ['public'];
+    if (isCloseFriend) visibilities.push('close_friends');
+
+    return {
+      user: profileUserId,
+      $or: [
+        { visibility: { $in: visibilities } },
+        { visibility: 'audience', audienceList: { $in: lists } }
+      ]
+    };
+  }
+
+  // Collect the accounts whose posts the user may see, plus the close friends
+  // and audience lists that open up restricted posts from them.
+  // Blocked (either way) and muted accounts are left out.
+  async getAudience(userId) {
+    const [relationships, hidden, restricted] = await Promise.all([
+      Relationship.find({
+        follower: userId,
+        status: 'accepted'
+      }).select('following status isFriend canSeePosts'),
+      this.blockService.getHiddenAuthorIds(userId),
+      this.audienceService.getViewerAudiences(userId)
+    ]);
+
+    const following = new Set();
+    const friends = new Set();
+    const excluded = new Set(hidden.map(id => id.toString()));
+
+    relationships.forEach(relationship => {
+      const targetId = relationship.following.toString();
+
+      if (!relationship.canSeePosts) {
+        excluded.add(targetId);
+        return;
+      }
+
+      following.add(targetId);
+      if (relationship.isFriend) {
+        friends.add(targetId);
+      }
+    });
+
+    excluded.forEach(targetId => {
+      following.delete(targetId);
+      friends.delete(targetId);
+    });
+
+    return {
+      following: Array.from(following),
+      friends: Array.from(friends),
+      closeFriendOf: restricted.closeFriendOf
+        .map(id => id.toString())
+        .filter(id => following.has(id)),
+      audienceLists: restricted.lists
+        .filter(list => following.has(list.owner.toString()))
+        .map(list => list._id)
+    };
+  }
+
+  // Own posts, public posts from followed accounts, friends-only posts from friends,
+  // and restricted posts from followed accounts that picked this user
+  buildVisibilityQuery(userId, audience) {
+    return {
+      $or: [
+        { user: userId },
+        {
+          user: { $in: audience.following },
+          visibility: 'public'
+        },
+        {
+          user: { $in: audience.friends },
+          visibility: { $in: ['public', 'friends'] }
+        },
+        {
+          user: { $in: audience.closeFriendOf },
+          visibility: 'close_friends'
+        },
+        {
+          audienceList: { $in: audience.audienceLists },
+          visibility: 'audience'
+        }
+      ]
+    };
+  }
+
+  // Check if a single post is visible to a user
+  async canViewPost(post, userId) {
+    const authorId = (post.user._id || post.user).toString();
+
+    if (authorId === userId.toString()) return true;
+    if (post.status === 'draft' || post.status === 'scheduled') return false;
+    if (post.visibility === 'private') return false;
+
+    const [relationship, blocked, author] = await Promise.all([
+      Relationship.findOne({ follower: userId, following: authorId }),
+      this.blockService.isBlocked(userId, authorId),
+      User.findById(authorId).select('isPrivate')
+    ]);
+
+    if (blocked || (relationship && !relationship.canSeePosts)) {
+      return false;
+    }
+
+    if (!this.isApprovedViewer(author, relationship)) {
+      return false;
+    }
+
+    if (post.visibility === 'friends') {
+      return Boolean(
+        relationship &&
+        relationship.status === 'accepted' &&
+        relationship.isFriend
+      );
+    }
+
+    if (post.visibility === 'close_friends' || post.visibility === 'audience') {
+      return await this.audienceService.isInAudience(post, authorId, userId);
+    }
+
+    return true;
+  }
+
+  // Private accounts only show posts to followers they've approved
+  isApprovedViewer(author, relationship) {
+    if (!author || !author.isPrivate) return true;
+    return Boolean(relationship && relationship.status === 'accepted');
+  }
+
+  // Drop deleted (null after populate) and no-longer-visible posts from a list
+  async filterVisiblePosts(posts, userId) {
+    const visible = await Promise.all(
+      posts.map(post => post ? this.canViewPost(post, userId) : false)
+    );
+
+    return posts.filter((post, index) => visible[index]);
+  }
+
+  // Shape posts for a viewer: sensitive media is blurred unless they opted in, and
+  // timeline shares embed the original post as a quote card. Originals that were
+  // deleted or are no longer visible collapse to a stub.
+  async presentPosts(posts, userId) {
+    const optIn = await this.sensitiveMediaService.getOptIn(userId);
+    const present = post => {
+      // Cached feeds hold plain objects, fresh ones hold documents
+      const plain = typeof post.toJSON === 'function' ? post.toJSON() : post;
+
+      return {
+        ...this.sensitiveMediaService.maskPost(plain, userId, optIn),
+        reactionSummary: this.presentReactionSummary(plain, userId)
+      };
+    };
+
+    const originalIds = [...new Set(
+      posts
+        .filter(post => post.originalPost)
+        .map(post => post.originalPost.toString())
+    )];
+
+    if (originalIds.length === 0) return posts.map(present);
+
+    const originals = await Post.find({ _id: { $in: originalIds } })
+      .published()
+      .populate('user', 'name username avatar isVerified');
+
+    const visibleOriginals = await this.filterVisiblePosts(originals, userId);
+    const cards = new Map(
+      visibleOriginals.map(original => [original._id.toString(), present(original)])
+    );
+
+    return posts.map(post => {
+      const item = present(post);
+      if (!item.originalPost) return item;
+
+      const originalId = item.originalPost.toString();
+
+      return {
+        ...item,
+        quotedPost: cards.get(originalId) || {
+          _id: originalId,
+          unavailable: true,
+          message: 'This content is unavailable'
+        }
+      };
+    });
+  }
+
+  // Authors can hide like counts on their posts; other viewers then only
+  // learn which reactions lead. `summary` overrides the stored one.
+  presentReactionSummary(content, viewerId, summary = content.reactionSummary) {
+    const { counts = {}, total = 0, topTypes = [] } = summary || {};
+    const authorId = (content.user._id || content.user).toString();
+
+    if (content.hideLikeCount && authorId !== viewerId.toString()) {
+      return { topTypes, countsHidden: true };
+    }
+
+    return {
+      counts: counts instanceof Map ? Object.fromEntries(counts) : counts,
+      total,
+      topTypes
+    };
+  }
+
+  async invalidateFeed(userId) {
+    await cache.invalidateUserCache(userId);
+  }
+}
\ No newline at end of file
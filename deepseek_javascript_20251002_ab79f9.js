@@ -0,0 +1,25 @@
+// models/HashtagFollow.js
+import mongoose from 'mongoose';
+
+// A user following a hashtag (see HashtagService.followHashtag)
+const hashtagFollowSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hashtag: {
+    type: String,
+    required: true,
+    lowercase: true
+  },
+  followedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+hashtagFollowSchema.index({ user: 1, hashtag: 1 }, { unique: true });
+hashtagFollowSchema.index({ hashtag: 1 });
+
+export default mongoose.model('HashtagFollow', hashtagFollowSchema);
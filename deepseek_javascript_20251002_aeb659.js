@@ -0,0 +1,283 @@
+// services/audienceService.js
+// Close friends and named audience lists, plus the checks that decide who sees
+// posts and stories restricted to them.
+import mongoose from 'mongoose';
+import Relationship from '../models/Relationship.js';
+import AudienceList from '../models/AudienceList.js';
+import cache from '../redis/cache.js';
+import { applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { BlockService } from './blockService.js';
+
+export class AudienceService {
+  constructor() {
+    this.maxBulkSize = 100;
+    this.maxListsPerUser = 20;
+    this.maxMembersPerList = 1000;
+    this.blockService = new BlockService();
+  }
+
+  // Close friends, most recently added first
+  async listCloseFriends(userId, { cursor, limit }) {
+    const query = { follower: userId, status: 'accepted', isCloseFriend: true };
+    const field = 'closeFriendAt';
+
+    const rows = await Relationship.find(applyCursor(query, cursor, { field }))
+      .populate('following', 'name username avatar isVerified')
+      .sort(cursorSort({ field }))
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(rows, limit, field);
+
+    return {
+      users: items
+        .filter(row => row.following)
+        .map(row => ({ ...row.following.toObject(), closeFriendAt: row.closeFriendAt })),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  // Add or remove many close friends at once. Only accounts the user follows
+  // can be close friends; anything else comes back in `skipped`.
+  // Returns { updated, skipped } or { error, status }.
+  async setCloseFriends(userId, userIds, isCloseFriend) {
+    const ids = this.normalizeIds(userIds);
+    if (ids.error) return ids;
+
+    const query = { follower: userId, following: { $in: ids.ids }, status: 'accepted' };
+    const matched = await Relationship.find(query).distinct('following');
+
+    if (matched.length > 0) {
+      await Relationship.updateMany(
+        { ...query, following: { $in: matched } },
+        isCloseFriend
+          ? { isCloseFriend: true, closeFriendAt: new Date(), updatedAt: new Date() }
+          : { isCloseFriend: false, $unset: { closeFriendAt: 1 }, updatedAt: new Date() }
+      );
+
+      // Their feeds change, not the owner's
+      await Promise.all(matched.map(id => cache.invalidateUserCache(id)));
+    }
+
+    const updated = new Set(matched.map(id => id.toString()));
+
+    return {
+      updated: [...updated],
+      skipped: ids.ids.filter(id => !updated.has(id))
+    };
+  }
+
+  async listLists(userId) {
+    const lists = await AudienceList.find({ owner: userId }).sort({ createdAt: 1 });
+
+    return lists.map(list => ({
+      _id: list._id,
+      name: list.name,
+      memberCount: list.members.length,
+      createdAt: list.createdAt,
+      updatedAt: list.updatedAt
+    }));
+  }
+
+  // Returns { list } or { error, status }
+  async getList(userId, listId) {
+    const list = await this.findOwnList(userId, listId);
+    if (!list) {
+      return { error: 'Audience list not found', status: 404 };
+    }
+
+    await list.populate('members', 'name username avatar isVerified');
+    return { list };
+  }
+
+  async createList(userId, { name, userIds = [] }) {
+    if (!name || !name.trim()) {
+      return { error: 'List name is required', status: 400 };
+    }
+
+    if (await AudienceList.countDocuments({ owner: userId }) >= this.maxListsPerUser) {
+      return { error: `You can have at most ${this.maxListsPerUser} audience lists`, status: 400 };
+    }
+
+    if (await AudienceList.exists({ owner: userId, name: name.trim() })) {
+      return { error: 'You already have a list with that name', status: 409 };
+    }
+
+    const members = await this.allowedMembers(userId, userIds);
+    if (members.error) return members;
+
+    const list = await AudienceList.create({ owner: userId, name, members: members.ids });
+    return { list };
+  }
+
+  async renameList(userId, listId, name) {
+    if (!name || !name.trim()) {
+      return { error: 'List name is required', status: 400 };
+    }
+
+    const list = await this.findOwnList(userId, listId);
+    if (!list) {
+      return { error: 'Audience list not found', status: 404 };
+    }
+
+    if (await AudienceList.exists({ owner: userId, name: name.trim(), _id: { $ne: list._id } })) {
+      return { error: 'You already have a list with that name', status: 409 };
+    }
+
+    list.name = name;
+    list.updatedAt = new Date();
+    await list.save();
+
+    return { list };
+  }
+
+  async addMembers(userId, listId, userIds) {
+    const list = await this.findOwnList(userId, listId);
+    if (!list) {
+      return { error: 'Audience list not found', status: 404 };
+    }
+
+    const members = await this.allowedMembers(userId, userIds);
+    if (members.error) return members;
+
+    const current = new Set(list.members.map(id => id.toString()));
+    const added = members.ids.filter(id => !current.has(id));
+
+    if (current.size + added.length > this.maxMembersPerList) {
+      return { error: `A list can hold at most ${this.maxMembersPerList} people`, status: 400 };
+    }
+
+    list.members.push(...added);
+    list.updatedAt = new Date();
+    await list.save();
+    await Promise.all(added.map(id => cache.invalidateUserCache(id)));
+
+    return { list };
+  }
+
+  async removeMembers(userId, listId, userIds) {
+    const ids = this.normalizeIds(userIds);
+    if (ids.error) return ids;
+
+    const list = await this.findOwnList(userId, listId);
+    if (!list) {
+      return { error: 'Audience list not found', status: 404 };
+    }
+
+    const removed = new Set(ids.ids);
+    list.members = list.members.filter(id => !removed.has(id.toString()));
+    list.updatedAt = new Date();
+    await list.save();
+    await Promise.all(ids.ids.map(id => cache.invalidateUserCache(id)));
+
+    return { list };
+  }
+
+  // Posts and stories shared with a deleted list fall back to only-me
+  async deleteList(userId, listId) {
+    const list = await this.findOwnList(userId, listId);
+    if (!list) {
+      return { error: 'Audience list not found', status: 404 };
+    }
+
+    await Promise.all([
+      list.deleteOne(),
+      mongoose.model('Post').updateMany(
+        { audienceList: list._id },
+        { visibility: 'private', $unset: { audienceList: 1 } }
+      ),
+      mongoose.model('Story').updateMany(
+        { audienceList: list._id },
+        { visibility: 'private', $unset: { audienceList: 1 } }
+      ),
+      ...list.members.map(id => cache.invalidateUserCache(id))
+    ]);
+
+    return { list };
+  }
+
+  // Validate the visibility a post or story is created or edited with.
+  // `allowed` is the content model's visibility enum.
+  // Returns { visibility, audienceList } or { error, status }.
+  async resolveVisibility(userId, visibility, audienceListId, allowed) {
+    if (!allowed.includes(visibility)) {
+      return { error: `Visibility must be one of: ${allowed.join(', ')}`, status: 400 };
+    }
+
+    if (visibility !== 'audience') {
+      return { visibility, audienceList: undefined };
+    }
+
+    const list = await this.findOwnList(userId, audienceListId);
+    if (!list) {
+      return { error: 'Audience list not found', status: 400 };
+    }
+
+    return { visibility, audienceList: list._id };
+  }
+
+  // For close_friends / audience content: is the viewer one of the author's picks?
+  async isInAudience(content, authorId, viewerId) {
+    if (content.visibility === 'close_friends') {
+      return Boolean(await Relationship.exists({
+        follower: authorId,
+        following: viewerId,
+        status: 'accepted',
+        isCloseFriend: true
+      }));
+    }
+
+    if (content.visibility === 'audience') {
+      return Boolean(content.audienceList && await AudienceList.exists({
+        _id: content.audienceList,
+        owner: authorId,
+        members: viewerId
+      }));
+    }
+
+    return false;
+  }
+
+  // Everything that puts restricted content in front of the viewer: authors who
+  // count them as a close friend, and the lists they're a member of
+  async getViewerAudiences(viewerId) {
+    const [closeFriendOf, lists] = await Promise.all([
+      Relationship.find({
+        following: viewerId,
+        status: 'accepted',
+        isCloseFriend: true
+      }).distinct('follower'),
+      AudienceList.find({ members: viewerId }).select('_id owner')
+    ]);
+
+    return { closeFriendOf, lists };
+  }
+
+  async findOwnList(userId, listId) {
+    if (!mongoose.Types.ObjectId.isValid(listId)) return null;
+    return await AudienceList.findOne({ _id: listId, owner: userId });
+  }
+
+  // Members must be real ids, not the owner, and not blocked either way
+  async allowedMembers(userId, userIds) {
+    const ids = this.normalizeIds(userIds, { allowEmpty: true });
+    if (ids.error) return ids;
+
+    const others = ids.ids.filter(id => id !== userId.toString());
+    return { ids: await this.blockService.filterBlocked(userId, others) };
+  }
+
+  normalizeIds(userIds, { allowEmpty = false } = {}) {
+    if (!Array.isArray(userIds) || (!allowEmpty && userIds.length === 0)) {
+      return { error: 'userIds must be a non-empty array', status: 400 };
+    }
+    if (userIds.length > this.maxBulkSize) {
+      return { error: `At most ${this.maxBulkSize} users per request`, status: 400 };
+    }
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid user id', status: 400 };
+    }
+
+    return { ids: [...new Set(userIds.map(id => id.toString()))] };
+  }
+}
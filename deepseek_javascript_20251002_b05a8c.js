@@ -36,6 +36,28 @@ class CacheService {
     ];
     await this.client.del(keys);
   }
+
+  // Get a cached string value
+  async getCached(key) {
+    return await this.client.get(key);
+  }
+
+  // Cache a string value
+  async setCached(key, value, expireTime = 300) {
+    await this.client.setEx(key, expireTime, value);
+  }
+
+  // Invalidate every key matching a glob pattern (SCAN, so Redis isn't blocked)
+  async invalidatePattern(pattern) {
+    const keys = [];
+    for await (const key of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      keys.push(key);
+    }
+
+    if (keys.length > 0) {
+      await this.client.del(keys);
+    }
+  }
 }
 
 export default new CacheService();
\ No newline at end of file
@@ -0,0 +1,31 @@
+// models/PollVote.js
+import mongoose from 'mongoose';
+
+const pollVoteSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Indexes into post.poll.options
+  options: [{
+    type: Number,
+    required: true
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One ballot per user per poll
+pollVoteSchema.index({ post: 1, user: 1 }, { unique: true });
+
+export default mongoose.model('PollVote', pollVoteSchema);
\ No newline at end of file
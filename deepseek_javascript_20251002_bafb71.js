@@ -0,0 +1,327 @@
+// services/groupChatService.js
+// Group chat administration. Every change leaves a system message in the thread
+// and is announced on chatEvents so ChatHandler can update rooms live.
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import { chatEvents } from '../socket/chatEvents.js';
+import { MediaProcessor } from './mediaProcessor.js';
+import { BlockService } from './blockService.js';
+
+export class GroupChatService {
+  constructor() {
+    this.maxGroupSize = 250;
+    this.maxNameLength = 100;
+    this.mediaProcessor = new MediaProcessor();
+    this.blockService = new BlockService();
+  }
+
+  // All methods return { conversation, message } or { error, status }
+
+  async addParticipants(userId, conversationId, userIds) {
+    const { conversation, error, status } = await this.findAsAdmin(conversationId, userId);
+    if (error) return { error, status };
+
+    if (!Array.isArray(userIds) || userIds.length === 0) {
+      return { error: 'userIds must be a non-empty array', status: 400 };
+    }
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid user id', status: 400 };
+    }
+
+    const added = [...new Set(userIds.map(id => id.toString()))]
+      .filter(id => !this.isParticipant(conversation, id));
+
+    if (added.length === 0) {
+      return { error: 'Everyone is already in this group', status: 400 };
+    }
+    if (conversation.participants.length + added.length > this.maxGroupSize) {
+      return { error: `A group can have at most ${this.maxGroupSize} participants`, status: 400 };
+    }
+    if (await User.countDocuments({ _id: { $in: added } }) !== added.length) {
+      return { error: 'User not found', status: 404 };
+    }
+    if ((await this.blockService.filterBlocked(userId, added)).length !== added.length) {
+      return { error: 'You cannot add one or more of these users', status: 403 };
+    }
+
+    conversation.participants.push(...added);
+    await conversation.save();
+
+    return await this.record(conversation, userId, {
+      action: 'participants_added',
+      targets: added
+    }, { added });
+  }
+
+  async removeParticipant(userId, conversationId, targetId) {
+    const invalid = this.validateTarget(targetId);
+    if (invalid) return invalid;
+
+    const { conversation, error, status } = await this.findAsAdmin(conversationId, userId);
+    if (error) return { error, status };
+
+    if (targetId.toString() === userId.toString()) {
+      return { error: 'Use leave to remove yourself', status: 400 };
+    }
+    if (!this.isParticipant(conversation, targetId)) {
+      return { error: 'User is not in this group', status: 404 };
+    }
+
+    this.pull(conversation, targetId);
+    await conversation.save();
+
+    return await this.record(conversation, userId, {
+      action: 'participant_removed',
+      targets: [targetId]
+    }, { removed: [targetId.toString()] });
+  }
+
+  async leave(userId, conversationId) {
+    const conversation = await this.findGroup(conversationId, userId);
+    if (!conversation) {
+      return { error: 'Conversation not found', status: 404 };
+    }
+
+    this.pull(conversation, userId);
+
+    // Someone has to be able to manage the group; the longest-standing member takes over
+    let promoted = null;
+    if (conversation.groupAdmins.length === 0 && conversation.participants.length > 0) {
+      promoted = conversation.participants[0];
+      conversation.groupAdmins.push(promoted);
+    }
+
+    await conversation.save();
+
+    const result = await this.record(conversation, userId, {
+      action: 'participant_left'
+    }, { removed: [userId.toString()] });
+
+    if (promoted) {
+      await this.record(conversation, userId, {
+        action: 'admin_promoted',
+        targets: [promoted]
+      });
+    }
+
+    return result;
+  }
+
+  async setAdmin(userId, conversationId, targetId, isAdmin) {
+    const invalid = this.validateTarget(targetId);
+    if (invalid) return invalid;
+
+    const { conversation, error, status } = await this.findAsAdmin(conversationId, userId);
+    if (error) return { error, status };
+
+    if (!this.isParticipant(conversation, targetId)) {
+      return { error: 'User is not in this group', status: 404 };
+    }
+    if (this.isAdmin(conversation, targetId) === isAdmin) {
+      return { error: isAdmin ? 'User is already an admin' : 'User is not an admin', status: 400 };
+    }
+    if (!isAdmin && conversation.groupAdmins.length === 1) {
+      return { error: 'A group needs at least one admin', status: 400 };
+    }
+
+    if (isAdmin) {
+      conversation.groupAdmins.push(targetId);
+    } else {
+      conversation.groupAdmins = conversation.groupAdmins
+        .filter(id => id.toString() !== targetId.toString());
+    }
+    await conversation.save();
+
+    return await this.record(conversation, userId, {
+      action: isAdmin ? 'admin_promoted' : 'admin_demoted',
+      targets: [targetId]
+    });
+  }
+
+  // Rename and/or change the posting rule in one request. Both fields are checked
+  // before either is applied, so a bad value never leaves a half-made change.
+  async update(userId, conversationId, { groupName, onlyAdminsCanPost }) {
+    if (groupName === undefined && onlyAdminsCanPost === undefined) {
+      return { error: 'Nothing to update', status: 400 };
+    }
+
+    const invalid = (groupName !== undefined && this.validateName(groupName)) ||
+      (onlyAdminsCanPost !== undefined && this.validateOnlyAdminsCanPost(onlyAdminsCanPost));
+    if (invalid) return invalid;
+
+    let result;
+    if (groupName !== undefined) {
+      result = await this.rename(userId, conversationId, groupName);
+      if (result.error) return result;
+    }
+    if (onlyAdminsCanPost !== undefined) {
+      result = await this.setOnlyAdminsCanPost(userId, conversationId, onlyAdminsCanPost);
+    }
+
+    return result;
+  }
+
+  async rename(userId, conversationId, groupName) {
+    const invalid = this.validateName(groupName);
+    if (invalid) return invalid;
+
+    const name = groupName.trim();
+
+    const { conversation, error, status } = await this.findAsAdmin(conversationId, userId);
+    if (error) return { error, status };
+
+    conversation.groupName = name;
+    await conversation.save();
+
+    return await this.record(conversation, userId, { action: 'renamed', value: name });
+  }
+
+  async changePhoto(userId, conversationId, file) {
+    try {
+      if (!file) {
+        return { error: 'A photo is required', status: 400 };
+      }
+
+      const { conversation, error, status } = await this.findAsAdmin(conversationId, userId);
+      if (error) return { error, status };
+
+      const upload = await this.mediaProcessor.processUpload(file, {
+        type: 'image',
+        userId,
+        purpose: 'group_photo'
+      });
+
+      conversation.groupPhoto = upload.url;
+      await conversation.save();
+
+      return await this.record(conversation, userId, { action: 'photo_changed', value: upload.url });
+    } finally {
+      if (file) await this.mediaProcessor.cleanupTempFile(file.path);
+    }
+  }
+
+  async setOnlyAdminsCanPost(userId, conversationId, onlyAdminsCanPost) {
+    const invalid = this.validateOnlyAdminsCanPost(onlyAdminsCanPost);
+    if (invalid) return invalid;
+
+    const { conversation, error, status } = await this.findAsAdmin(conversationId, userId);
+    if (error) return { error, status };
+
+    if (conversation.onlyAdminsCanPost === onlyAdminsCanPost) {
+      return { conversation, message: null };
+    }
+
+    conversation.onlyAdminsCanPost = onlyAdminsCanPost;
+    await conversation.save();
+
+    return await this.record(conversation, userId, {
+      action: onlyAdminsCanPost ? 'posting_restricted' : 'posting_opened'
+    });
+  }
+
+  // Write the system message, bump the conversation and tell the socket layer
+  async record(conversation, actorId, systemEvent, membership = {}) {
+    const content = await this.describe(actorId, systemEvent);
+
+    const message = await Message.create({
+      conversation: conversation._id,
+      sender: actorId,
+      type: 'system',
+      content,
+      systemEvent
+    });
+    await message.populate('sender', 'name username avatar');
+
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { lastMessage: message._id, updatedAt: new Date() }
+    );
+
+    chatEvents.emit('conversation_updated', {
+      conversation,
+      message,
+      added: membership.added || [],
+      removed: membership.removed || []
+    });
+
+    return { conversation, message };
+  }
+
+  async describe(actorId, { action, targets = [], value }) {
+    const users = await User.find({ _id: { $in: [actorId, ...targets] } }).select('name');
+    const nameOf = id => {
+      const user = users.find(candidate => candidate._id.toString() === id.toString());
+      return user ? user.name : 'Someone';
+    };
+
+    const actor = nameOf(actorId);
+    const names = targets.map(nameOf).join(', ');
+
+    switch (action) {
+      case 'participants_added': return `${actor} added ${names}`;
+      case 'participant_removed': return `${actor} removed ${names}`;
+      case 'participant_left': return `${actor} left the group`;
+      case 'admin_promoted': return `${names} is now an admin`;
+      case 'admin_demoted': return `${names} is no longer an admin`;
+      case 'renamed': return `${actor} renamed the group to "${value}"`;
+      case 'photo_changed': return `${actor} changed the group photo`;
+      case 'posting_restricted': return `${actor} set the group so only admins can send messages`;
+      case 'posting_opened': return `${actor} set the group so everyone can send messages`;
+      default: return `${actor} updated the group`;
+    }
+  }
+
+  validateName(groupName) {
+    const name = typeof groupName === 'string' ? groupName.trim() : '';
+    if (!name || name.length > this.maxNameLength) {
+      return { error: `Group name must be 1-${this.maxNameLength} characters`, status: 400 };
+    }
+    return null;
+  }
+
+  validateOnlyAdminsCanPost(onlyAdminsCanPost) {
+    if (typeof onlyAdminsCanPost !== 'boolean') {
+      return { error: 'onlyAdminsCanPost must be a boolean', status: 400 };
+    }
+    return null;
+  }
+
+  validateTarget(targetId) {
+    if (!targetId || !mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'Invalid user id', status: 400 };
+    }
+    return null;
+  }
+
+  async findGroup(conversationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+    return await Conversation.findOne({ _id: conversationId, participants: userId, isGroup: true });
+  }
+
+  async findAsAdmin(conversationId, userId) {
+    const conversation = await this.findGroup(conversationId, userId);
+    if (!conversation) {
+      return { error: 'Conversation not found', status: 404 };
+    }
+    if (!this.isAdmin(conversation, userId)) {
+      return { error: 'Only group admins can do that', status: 403 };
+    }
+    return { conversation };
+  }
+
+  pull(conversation, userId) {
+    const id = userId.toString();
+    conversation.participants = conversation.participants.filter(p => p.toString() !== id);
+    conversation.groupAdmins = conversation.groupAdmins.filter(a => a.toString() !== id);
+  }
+
+  isParticipant(conversation, userId) {
+    return conversation.participants.some(id => id.toString() === userId.toString());
+  }
+
+  isAdmin(conversation, userId) {
+    return (conversation.groupAdmins || []).some(id => id.toString() === userId.toString());
+  }
+}
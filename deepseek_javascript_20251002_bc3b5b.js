@@ -2,36 +2,52 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import Notification from '../models/Notification.js';
+import { getPaginationParams, applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { FollowService } from '../services/followService.js';
 
 const router = express.Router();
+const followService = new FollowService();
 
 // Get user notifications
 router.get('/', authMiddleware, async (req, res) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
+    const { cursor, page, limit, skip, invalidCursor } = getPaginationParams(req.query);
 
-    const notifications = await Notification.find({ user: req.user.id })
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
+    }
+
+    const query = { user: req.user.id };
+
+    const results = await Notification.find(applyCursor(query, cursor))
       .populate('fromUser', 'name username avatar isVerified')
       .populate('post')
       .populate('comment')
-      .sort({ createdAt: -1 })
+      .sort(cursorSort())
       .skip(skip)
-      .limit(limit);
+      .limit(limit + 1);
+
+    const { items: notifications, nextCursor, hasMore } = buildPage(results, limit);
 
-    const total = await Notification.countDocuments({ user: req.user.id });
     const unreadCount = await Notification.countDocuments({ 
       user: req.user.id, 
       isRead: false 
     });
 
+    if (cursor) {
+      return res.json({ notifications, unreadCount, nextCursor, hasMore });
+    }
+
+    const total = await Notification.countDocuments(query);
+
     res.json({
       notifications,
       total,
       unreadCount,
       page,
-      pages: Math.ceil(total / limit)
+      pages: Math.ceil(total / limit),
+      nextCursor,
+      hasMore
     });
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -69,4 +85,32 @@ router.patch('/read-all', authMiddleware, async (req, res) => {
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
-});
\ No newline at end of file
+});
+
+// Answer an actionable notification (accept or decline a follow request)
+router.post('/:id/actions/:action', authMiddleware, async (req, res) => {
+  try {
+    const { action } = req.params;
+
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user.id });
+    if (!notification || !notification.actions.includes(action)) {
+      return res.status(404).json({ message: 'Notification action not found' });
+    }
+
+    if (notification.actionTaken) {
+      return res.status(400).json({ message: `Request already ${notification.actionTaken}` });
+    }
+
+    const result = action === 'accept'
+      ? await followService.accept(req.user, notification.fromUser)
+      : await followService.decline(req.user.id, notification.fromUser);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ actionTaken: action === 'accept' ? 'accepted' : 'declined' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
@@ -2,14 +2,18 @@
 import express from 'express';
 import { authMiddleware } from '../middleware/auth.js';
 import User from '../models/User.js';
+import { SensitiveMediaService } from '../services/sensitiveMediaService.js';
+import { FollowService } from '../services/followService.js';
 
 const router = express.Router();
+const sensitiveMediaService = new SensitiveMediaService();
+const followService = new FollowService();
 
 // Get user settings
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const user = await User.findById(req.user.id)
-      .select('emailNotifications pushNotifications isPrivate');
+      .select('emailNotifications pushNotifications isPrivate sensitiveMediaOptIn commentFilterKeywords');
     
     res.json(user);
   } catch (error) {
@@ -20,18 +24,34 @@ router.get('/', authMiddleware, async (req, res) => {
 // Update privacy settings
 router.patch('/privacy', authMiddleware, async (req, res) => {
   try {
-    const { isPrivate, profileVisibility, messagePermissions } = req.body;
+    const { isPrivate, profileVisibility, messagePermissions, sensitiveMediaOptIn } = req.body;
 
     const updateData = {};
     if (typeof isPrivate !== 'undefined') updateData.isPrivate = isPrivate;
     if (profileVisibility) updateData.profileVisibility = profileVisibility;
     if (messagePermissions) updateData.messagePermissions = messagePermissions;
 
+    // Content warning categories to show unblurred (empty list blurs everything)
+    if (sensitiveMediaOptIn !== undefined) {
+      if (!Array.isArray(sensitiveMediaOptIn) ||
+          sensitiveMediaOptIn.some(category => !sensitiveMediaService.categories.includes(category))) {
+        return res.status(400).json({
+          message: `sensitiveMediaOptIn must only contain: ${sensitiveMediaService.categories.join(', ')}`
+        });
+      }
+      updateData.sensitiveMediaOptIn = [...new Set(sensitiveMediaOptIn)];
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       updateData,
       { new: true }
-    ).select('isPrivate profileVisibility messagePermissions');
+    ).select('isPrivate profileVisibility messagePermissions sensitiveMediaOptIn');
+
+    // Requests sent while the account was private no longer need an answer
+    if (isPrivate === false) {
+      await followService.acceptAllRequests(req.user.id);
+    }
 
     res.json(user);
   } catch (error) {
@@ -59,6 +79,40 @@ router.patch('/notifications', authMiddleware, async (req, res) => {
   }
 });
 
+// Update comment keyword filter (matching comments on your content are hidden)
+router.patch('/comments', authMiddleware, async (req, res) => {
+  try {
+    const { filterKeywords } = req.body;
+
+    if (!Array.isArray(filterKeywords) ||
+        filterKeywords.some(keyword => typeof keyword !== 'string')) {
+      return res.status(400).json({ message: 'filterKeywords must be an array of strings' });
+    }
+
+    const keywords = [...new Set(
+      filterKeywords.map(keyword => keyword.trim().toLowerCase()).filter(Boolean)
+    )];
+
+    if (keywords.length > 100) {
+      return res.status(400).json({ message: 'You can filter up to 100 keywords' });
+    }
+
+    if (keywords.some(keyword => keyword.length > 50)) {
+      return res.status(400).json({ message: 'Keywords must be 50 characters or fewer' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { commentFilterKeywords: keywords },
+      { new: true }
+    ).select('commentFilterKeywords');
+
+    res.json(user);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Change password
 router.patch('/password', authMiddleware, async (req, res) => {
   try {
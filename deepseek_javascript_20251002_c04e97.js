@@ -45,72 +45,21 @@ router.post('/:id/share', authMiddleware, async (req, res) => {
   }
 });
 
-// Add comment with mentions
+// Add comment with mentions (mention parsing and notifications happen in CommentService)
 router.post('/:id/comments', authMiddleware, async (req, res) => {
   try {
-    const { content } = req.body;
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-
-    // Extract mentions from content
-    const mentionRegex = /@(\w+)/g;
-    const mentions = [];
-    let match;
-    
-    while ((match = mentionRegex.exec(content)) !== null) {
-      const username = match[1];
-      const user = await User.findOne({ username });
-      if (user) {
-        mentions.push(user._id);
-      }
-    }
-
-    const comment = {
-      user: req.user.id,
-      content,
-      mentions,
-      createdAt: new Date()
-    };
-
-    post.comments.push(comment);
-    await post.save();
-
-    // Populate user data
-    await post.populate('comments.user', 'name username avatar');
-
-    const newComment = post.comments[post.comments.length - 1];
-
-    // Create notifications for mentions
-    for (const mentionedUserId of mentions) {
-      if (mentionedUserId.toString() !== post.user.toString() && 
-          mentionedUserId.toString() !== req.user.id) {
-        await createNotification({
-          type: 'mention',
-          fromUser: req.user.id,
-          toUser: mentionedUserId,
-          post: post._id,
-          comment: newComment._id,
-          message: `${req.user.name} mentioned you in a comment`
-        });
-      }
-    }
+    const result = await commentService.createComment({
+      targetType: 'post',
+      targetId: req.params.id,
+      userId: req.user.id,
+      content: req.body.content
+    });
 
-    // Create notification for post owner
-    if (post.user.toString() !== req.user.id) {
-      await createNotification({
-        type: 'comment',
-        fromUser: req.user.id,
-        toUser: post.user,
-        post: post._id,
-        comment: newComment._id,
-        message: `${req.user.name} commented on your post`
-      });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    res.status(201).json(newComment);
+    res.status(201).json(result.comment);
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
   }
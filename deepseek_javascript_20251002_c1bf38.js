@@ -0,0 +1,43 @@
+// models/Device.js
+import mongoose from 'mongoose';
+
+// One of a user's signed-in clients. deviceId is generated by the client and
+// sent in the socket handshake so reconnects resume from the same sync cursors.
+const deviceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  deviceId: {
+    type: String,
+    required: true,
+    maxlength: 128
+  },
+  platform: {
+    type: String,
+    enum: ['web', 'ios', 'android'],
+    default: 'web'
+  },
+  pushToken: { type: String },
+  // SNS platform endpoint for pushToken, created on first push
+  pushEndpointArn: { type: String },
+
+  // conversationId -> position in the conversation's (changedAt, _id) order up to which
+  // the device has every change. Without an id, nothing at `at` itself is included yet.
+  syncCursors: {
+    type: Map,
+    of: {
+      at: Date,
+      id: mongoose.Schema.Types.ObjectId
+    },
+    default: {}
+  },
+
+  lastSeenAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now }
+});
+
+deviceSchema.index({ user: 1, deviceId: 1 }, { unique: true });
+
+export default mongoose.model('Device', deviceSchema);
@@ -5,7 +5,11 @@
   "type": "module",
   "scripts": {
     "start": "node server.js",
-    "dev": "nodemon server.js"
+    "dev": "nodemon server.js",
+    "test": "node --test tests/",
+    "migrate:comments": "node scripts/migrateEmbeddedComments.js",
+    "backfill:reactions": "node scripts/backfillReactions.js",
+    "migrate:follows": "node scripts/migrateFollows.js"
   },
   "dependencies": {
     "express": "^4.18.0",
@@ -16,7 +20,12 @@
     "multer": "^1.4.5",
     "redis": "^4.6.0",
     "socket.io": "^4.6.0",
-    "aws-sdk": "^2.1300.0"
+    "aws-sdk": "^2.1300.0",
+    "graphql-upload": "^16.0.2"
+  },
+  "devDependencies": {
+    "mongodb-memory-server": "^9.1.0",
+    "socket.io-client": "^4.6.0"
   }
 }
 
@@ -27,6 +36,15 @@ import cors from 'cors';
 import redis from 'redis';
 import authRoutes from './routes/auth.js';
 import postRoutes from './routes/posts.js';
+import feedRoutes from './routes/feed.js';
+import collectionRoutes from './routes/collections.js';
+import reactionRoutes from './routes/reactions.js';
+import relationshipRoutes from './routes/relationships.js';
+import audienceListRoutes from './routes/audienceLists.js';
+import conversationRoutes from './routes/conversations.js';
+import deviceRoutes from './routes/devices.js';
+import './workers/scheduledPostWorker.js';
+import './workers/pollCloseWorker.js';
 import userRoutes from './routes/users.js';
 
 const app = express();
@@ -51,6 +69,13 @@ mongoose.connect('mongodb://localhost:27017/peoplelink', {
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/reactions', reactionRoutes);
+app.use('/api/relationships', relationshipRoutes);
+app.use('/api/audience-lists', audienceListRoutes);
+app.use('/api/conversations', conversationRoutes);
+app.use('/api/devices', deviceRoutes);
 app.use('/api/users', userRoutes);
 
 const PORT = process.env.PORT || 5000;
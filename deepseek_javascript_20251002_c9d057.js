@@ -0,0 +1,81 @@
+// utils/pagination.js
+import mongoose from 'mongoose';
+
+// Opaque cursor over (sort field, _id) so pages stay stable when new content arrives
+export const encodeCursor = (doc, field = 'createdAt') => {
+  const isDate = doc[field] instanceof Date;
+  const payload = {
+    v: isDate ? doc[field].toISOString() : doc[field],
+    id: doc._id.toString(),
+    ...(isDate && { d: 1 })
+  };
+
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { v, id, d } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    return {
+      value: d ? new Date(v) : v,
+      id: new mongoose.Types.ObjectId(id)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read cursor/page/limit from the query string.
+// `page` keeps working for older clients; `cursor` wins when both are sent.
+export const getPaginationParams = (query, options = {}) => {
+  const { defaultLimit = 20, maxLimit = 100 } = options;
+  const limit = Math.min(parseInt(query.limit) || defaultLimit, maxLimit);
+
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor);
+    return { cursor, limit, skip: 0, invalidCursor: !cursor };
+  }
+
+  const page = parseInt(query.page) || 1;
+  return { cursor: null, page, limit, skip: (page - 1) * limit };
+};
+
+// Restrict a query to documents after the cursor
+export const applyCursor = (query, cursor, options = {}) => {
+  if (!cursor) return query;
+
+  const { field = 'createdAt', order = -1 } = options;
+  const op = order === -1 ? '$lt' : '$gt';
+
+  return {
+    $and: [
+      query,
+      {
+        $or: [
+          { [field]: { [op]: cursor.value } },
+          { [field]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+      }
+    ]
+  };
+};
+
+export const cursorSort = (options = {}) => {
+  const { field = 'createdAt', order = -1 } = options;
+  return { [field]: order, _id: order };
+};
+
+// Trim the extra document fetched with `limit + 1` and build the next cursor
+export const buildPage = (docs, limit, field = 'createdAt') => {
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], field) : null
+  };
+};
\ No newline at end of file
@@ -0,0 +1,37 @@
+// routes/users.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { SuggestionService } from '../services/suggestionService.js';
+
+const router = express.Router();
+const suggestionService = new SuggestionService();
+
+// People you may know, strongest match first
+router.get('/suggestions', authMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    const suggestions = await suggestionService.getSuggestions(req.user.id, { limit });
+
+    res.json({ suggestions });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Never suggest this user again
+router.post('/suggestions/:userId/dismiss', authMiddleware, async (req, res) => {
+  try {
+    const result = await suggestionService.dismiss(req.user.id, req.params.userId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Suggestion dismissed', dismissed: true });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;
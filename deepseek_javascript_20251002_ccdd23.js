@@ -0,0 +1,231 @@
+// services/conversationService.js
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import { applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { BlockService } from './blockService.js';
+import { chatEvents } from '../socket/chatEvents.js';
+
+export class ConversationService {
+  constructor() {
+    this.maxGroupSize = 250;
+    this.previewLength = 100;
+    this.blockService = new BlockService();
+  }
+
+  // The user's conversations, most recently active first, with a preview of the
+  // last message and how many messages from others they haven't read
+  async listConversations(userId, { cursor, limit }) {
+    const sortOptions = { field: 'updatedAt' };
+
+    const results = await Conversation.find(
+      applyCursor({ participants: userId }, cursor, sortOptions)
+    )
+      .populate('participants', 'name username avatar isVerified')
+      .populate({
+        path: 'lastMessage',
+        populate: { path: 'sender', select: 'name username avatar' }
+      })
+      .sort(cursorSort(sortOptions))
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(results, limit, sortOptions.field);
+    const [unread, replacements] = await Promise.all([
+      this.getUnreadCounts(userId, items.map(conversation => conversation._id)),
+      this.getReplacementPreviews(userId, items)
+    ]);
+
+    return {
+      conversations: items.map(conversation => ({
+        ...conversation.toObject(),
+        lastMessage: this.presentPreview(
+          replacements.has(conversation._id.toString())
+            ? replacements.get(conversation._id.toString())
+            : conversation.lastMessage
+        ),
+        unreadCount: unread.get(conversation._id.toString()) || 0
+      })),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  async getUnreadCounts(userId, conversationIds) {
+    if (conversationIds.length === 0) return new Map();
+
+    const viewerId = new mongoose.Types.ObjectId(userId);
+    const counts = await Message.aggregate([
+      {
+        $match: {
+          conversation: { $in: conversationIds },
+          sender: { $ne: viewerId },
+          type: { $ne: 'system' },
+          unsentAt: { $exists: false },
+          'deletedFor.user': { $ne: viewerId },
+          'readBy.user': { $ne: viewerId }
+        }
+      },
+      { $group: { _id: '$conversation', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+  }
+
+  // Conversation.lastMessage is shared by everyone, so where the viewer deleted it for
+  // themselves the preview falls back to the newest message they can still see
+  async getReplacementPreviews(userId, conversations) {
+    const affected = conversations.filter(conversation =>
+      conversation.lastMessage &&
+      (conversation.lastMessage.deletedFor || []).some(entry => entry.user.toString() === userId.toString())
+    );
+
+    const previews = await Promise.all(affected.map(conversation =>
+      Message.findOne({
+        conversation: conversation._id,
+        'deletedFor.user': { $ne: userId },
+        unsentAt: { $exists: false }
+      })
+        .sort({ createdAt: -1 })
+        .populate('sender', 'name username avatar')
+    ));
+
+    return new Map(affected.map((conversation, index) => [conversation._id.toString(), previews[index]]));
+  }
+
+  presentPreview(message) {
+    if (!message) return null;
+
+    const content = message.content || '';
+
+    return {
+      _id: message._id,
+      sender: message.sender,
+      content: content.length > this.previewLength
+        ? content.substring(0, this.previewLength) + '...'
+        : content,
+      hasMedia: (message.media || []).length > 0,
+      createdAt: message.createdAt
+    };
+  }
+
+  // Start a conversation. A 1:1 chat with someone you already have one with
+  // returns the existing one; more than one other participant makes a group.
+  // Returns { conversation, created } or { error, status }.
+  async createConversation(userId, { participantIds, groupName }) {
+    if (!Array.isArray(participantIds) || participantIds.length === 0) {
+      return { error: 'participantIds must be a non-empty array', status: 400 };
+    }
+    if (participantIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return { error: 'Invalid participant id', status: 400 };
+    }
+
+    const others = [...new Set(participantIds.map(id => id.toString()))]
+      .filter(id => id !== userId.toString());
+
+    if (others.length === 0) {
+      return { error: 'Add at least one other participant', status: 400 };
+    }
+    if (others.length + 1 > this.maxGroupSize) {
+      return { error: `A group can have at most ${this.maxGroupSize} participants`, status: 400 };
+    }
+
+    if (await User.countDocuments({ _id: { $in: others } }) !== others.length) {
+      return { error: 'User not found', status: 404 };
+    }
+
+    const allowed = await this.blockService.filterBlocked(userId, others);
+    if (allowed.length !== others.length) {
+      return { error: 'You cannot message one or more of these users', status: 403 };
+    }
+
+    if (others.length === 1) {
+      return await this.findOrCreateDirect(userId, others[0]);
+    }
+
+    const conversation = await Conversation.create({
+      participants: [userId, ...others],
+      isGroup: true,
+      groupName,
+      groupAdmins: [userId]
+    });
+
+    chatEvents.emit('conversation_created', { conversation });
+
+    return { conversation: await this.populate(conversation), created: true };
+  }
+
+  // The 1:1 chat between two users, created if they have none. The upsert on
+  // directKey (unique) keeps concurrent requests from creating two.
+  async findOrCreateDirect(userId, otherId) {
+    // Chats from before directKey existed don't carry one
+    const legacy = await Conversation.findOne({
+      isGroup: false,
+      directKey: { $exists: false },
+      participants: { $all: [userId, otherId], $size: 2 }
+    });
+
+    if (legacy) {
+      return { conversation: await this.populate(legacy), created: false };
+    }
+
+    const directKey = [userId.toString(), otherId.toString()].sort().join(':');
+    let result;
+
+    try {
+      result = await Conversation.findOneAndUpdate(
+        { directKey },
+        { $setOnInsert: { participants: [userId, otherId], isGroup: false } },
+        { upsert: true, new: true, rawResult: true }
+      );
+    } catch (error) {
+      // Two upserts raced and this one lost on the unique index
+      if (error.code !== 11000) throw error;
+
+      const existing = await Conversation.findOne({ directKey });
+      return { conversation: await this.populate(existing), created: false };
+    }
+
+    const conversation = result.value;
+    const created = !result.lastErrorObject.updatedExisting;
+
+    if (created) {
+      chatEvents.emit('conversation_created', { conversation });
+    }
+
+    return { conversation: await this.populate(conversation), created };
+  }
+
+  // Message history, newest first; follow nextCursor to page further back.
+  // Returns { messages, nextCursor, hasMore } or { error, status }.
+  async getMessages(userId, conversationId, { cursor, limit }) {
+    const conversation = await this.findForParticipant(conversationId, userId);
+    if (!conversation) {
+      return { error: 'Conversation not found', status: 404 };
+    }
+
+    // Messages the user deleted for themselves are left out; unsent ones stay as tombstones
+    const results = await Message.find(applyCursor({
+      conversation: conversation._id,
+      'deletedFor.user': { $ne: userId }
+    }, cursor))
+      .select('-deletedFor')
+      .populate('sender', 'name username avatar isVerified')
+      .populate('replyTo', 'content sender createdAt unsentAt')
+      .sort(cursorSort())
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(results, limit);
+
+    return { messages: items, nextCursor, hasMore };
+  }
+
+  async findForParticipant(conversationId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return null;
+    return await Conversation.findOne({ _id: conversationId, participants: userId });
+  }
+
+  async populate(conversation) {
+    return await conversation.populate('participants', 'name username avatar isVerified');
+  }
+}
@@ -0,0 +1,170 @@
+// services/pollService.js
+import Post from '../models/Post.js';
+import PollVote from '../models/PollVote.js';
+import Notification from '../models/Notification.js';
+
+export class PollService {
+  constructor() {
+    this.minOptions = 2;
+    this.maxOptions = 6;
+    this.minDuration = 5 * 60 * 1000; // 5 minutes
+    this.maxDuration = 7 * 24 * 60 * 60 * 1000; // 7 days
+    this.batchSize = 50;
+  }
+
+  // Validate poll input from a create request.
+  // Returns { poll } on success or { error } with a client-facing message.
+  buildPoll(input, startsAt = new Date()) {
+    if (!input || !Array.isArray(input.options)) {
+      return { error: 'Poll options are required' };
+    }
+
+    const options = input.options.map(option => String(option).trim());
+
+    if (options.length < this.minOptions || options.length > this.maxOptions) {
+      return { error: `Polls need between ${this.minOptions} and ${this.maxOptions} options` };
+    }
+
+    if (options.some(option => option.length === 0 || option.length > 80)) {
+      return { error: 'Poll options must be between 1 and 80 characters' };
+    }
+
+    const expiresAt = new Date(input.expiresAt);
+    const duration = expiresAt - startsAt;
+
+    if (isNaN(expiresAt.getTime()) || duration < this.minDuration || duration > this.maxDuration) {
+      return { error: 'Poll must stay open between 5 minutes and 7 days' };
+    }
+
+    return {
+      poll: {
+        options: options.map(text => ({ text, voteCount: 0 })),
+        allowMultiple: Boolean(input.allowMultiple),
+        expiresAt
+      }
+    };
+  }
+
+  // Polls on unpublished posts run for their full length from whenever the post
+  // goes live, so moving the start moves the deadline with it
+  shiftPollWindow(post, previousStart, nextStart) {
+    if (post.postType !== 'poll' || !post.poll.expiresAt) return;
+
+    post.poll.expiresAt = new Date(
+      post.poll.expiresAt.getTime() + (new Date(nextStart) - new Date(previousStart))
+    );
+  }
+
+  isClosed(post) {
+    return post.poll.isClosed || post.poll.expiresAt <= new Date();
+  }
+
+  // Cast a ballot. Repeating the same ballot is a no-op; a different one is rejected.
+  async vote(post, userId, optionIndexes) {
+    if (this.isClosed(post)) {
+      return { error: 'Poll is closed', status: 400 };
+    }
+
+    const choices = [...new Set((optionIndexes || []).map(Number))].sort((a, b) => a - b);
+
+    if (choices.length === 0 ||
+        choices.some(index => !Number.isInteger(index) || index < 0 || index >= post.poll.options.length)) {
+      return { error: 'Invalid poll option', status: 400 };
+    }
+
+    if (!post.poll.allowMultiple && choices.length > 1) {
+      return { error: 'This poll allows a single choice', status: 400 };
+    }
+
+    try {
+      await PollVote.create({ post: post._id, user: userId, options: choices });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      // Already voted - same ballot is fine, a changed one is not
+      const existing = await PollVote.findOne({ post: post._id, user: userId });
+      if (existing.options.join(',') !== choices.join(',')) {
+        return { error: 'You have already voted in this poll', status: 409 };
+      }
+
+      return { poll: await this.getResults(post._id, userId) };
+    }
+
+    const increments = { 'poll.totalVoters': 1 };
+    choices.forEach(index => {
+      increments[`poll.options.${index}.voteCount`] = 1;
+    });
+
+    await Post.updateOne({ _id: post._id }, { $inc: increments });
+
+    return { poll: await this.getResults(post._id, userId) };
+  }
+
+  // Poll state for a viewer; tallies stay hidden until they vote or the poll closes
+  async getResults(postId, userId) {
+    const post = await Post.findById(postId).select('user poll');
+    const ballot = await PollVote.findOne({ post: postId, user: userId });
+    const isClosed = this.isClosed(post);
+    const canSeeResults = Boolean(ballot) || isClosed || post.user.toString() === userId.toString();
+
+    return {
+      options: post.poll.options.map((option, index) => ({
+        index,
+        text: option.text,
+        ...(canSeeResults && {
+          voteCount: option.voteCount,
+          percentage: post.poll.totalVoters > 0
+            ? Math.round((option.voteCount / post.poll.totalVoters) * 100)
+            : 0
+        })
+      })),
+      allowMultiple: post.poll.allowMultiple,
+      expiresAt: post.poll.expiresAt,
+      isClosed,
+      hasVoted: Boolean(ballot),
+      userVotes: ballot ? ballot.options : [],
+      ...(canSeeResults && { totalVoters: post.poll.totalVoters })
+    };
+  }
+
+  // Close expired polls and send authors the final tallies
+  async closeExpiredPolls() {
+    const closed = [];
+
+    while (closed.length < this.batchSize) {
+      const now = new Date();
+      const post = await Post.findOneAndUpdate(
+        {
+          postType: 'poll',
+          // Drafts and scheduled posts aren't live yet; their window moves when they publish
+          status: { $nin: ['draft', 'scheduled'] },
+          'poll.isClosed': false,
+          'poll.expiresAt': { $lte: now }
+        },
+        { 'poll.isClosed': true, 'poll.closedAt': now },
+        { new: true }
+      );
+
+      if (!post) break;
+
+      await this.notifyPollClosed(post);
+      closed.push(post);
+    }
+
+    return closed;
+  }
+
+  async notifyPollClosed(post) {
+    const tallies = post.poll.options
+      .map(option => `${option.text}: ${option.voteCount}`)
+      .join(', ');
+
+    await Notification.create({
+      user: post.user,
+      type: 'poll_closed',
+      fromUser: post.user,
+      post: post._id,
+      message: `Your poll has closed with ${post.poll.totalVoters} voters. ${tallies}`
+    });
+  }
+}
\ No newline at end of file
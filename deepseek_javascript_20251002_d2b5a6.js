@@ -0,0 +1,219 @@
+// services/deviceService.js
+// Devices and their per-conversation sync cursors. Messages are ordered by
+// (changedAt, _id), which moves on create, edit and unsend; a cursor marks how far
+// along that order a device has got, and sync hands back whatever comes after it.
+import mongoose from 'mongoose';
+import Device from '../models/Device.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+
+const PLATFORMS = ['web', 'ios', 'android'];
+
+export class DeviceService {
+  constructor() {
+    this.maxDeviceIdLength = 128;
+    this.syncBatchSize = 100;
+  }
+
+  // Create or update a device. Returns { device, created } or { error, status }
+  async register(userId, { deviceId, platform, pushToken } = {}) {
+    if (typeof deviceId !== 'string' || !deviceId.trim() || deviceId.length > this.maxDeviceIdLength) {
+      return { error: `deviceId must be 1-${this.maxDeviceIdLength} characters`, status: 400 };
+    }
+    if (platform !== undefined && !PLATFORMS.includes(platform)) {
+      return { error: `platform must be one of: ${PLATFORMS.join(', ')}`, status: 400 };
+    }
+    if (pushToken !== undefined && pushToken !== null && typeof pushToken !== 'string') {
+      return { error: 'pushToken must be a string', status: 400 };
+    }
+
+    const update = { lastSeenAt: new Date() };
+    if (platform !== undefined) update.platform = platform;
+    if (pushToken !== undefined) update.pushToken = pushToken;
+
+    const changes = { $set: update, $setOnInsert: { createdAt: new Date() } };
+    // A new token needs a new push endpoint
+    if (pushToken !== undefined) changes.$unset = { pushEndpointArn: 1 };
+
+    const existing = await Device.exists({ user: userId, deviceId: deviceId.trim() });
+    const device = await Device.findOneAndUpdate(
+      { user: userId, deviceId: deviceId.trim() },
+      changes,
+      { upsert: true, new: true }
+    ).select('-syncCursors -pushToken -pushEndpointArn');
+
+    return { device, created: !existing };
+  }
+
+  async listDevices(userId) {
+    return await Device.find({ user: userId })
+      .select('-syncCursors -pushToken -pushEndpointArn')
+      .sort({ lastSeenAt: -1 });
+  }
+
+  // Returns { removed: true } or { error, status }
+  async removeDevice(userId, deviceId) {
+    const result = await Device.deleteOne({ user: userId, deviceId });
+    if (result.deletedCount === 0) {
+      return { error: 'Device not found', status: 404 };
+    }
+    return { removed: true };
+  }
+
+  async touch(userId, deviceId) {
+    await Device.updateOne({ user: userId, deviceId }, { lastSeenAt: new Date() });
+  }
+
+  // Everything that changed since the device's cursors, one entry per conversation
+  // with changes: { conversationId, messages, deletedMessageIds, cursor, hasMore }.
+  // Messages come in change order; the client applies them, removes the messages it
+  // deleted elsewhere, acknowledges `cursor` and syncs again while hasMore.
+  // Returns { conversations } or { error, status }.
+  async sync(userId, deviceId) {
+    const device = await Device.findOne({ user: userId, deviceId });
+    if (!device) {
+      return { error: 'Device not registered', status: 404 };
+    }
+
+    const syncedAt = new Date();
+    const conversationIds = await Conversation.find({ participants: userId }).distinct('_id');
+
+    const changes = await Promise.all(conversationIds.map(conversationId => {
+      // A device only catches up on what happened after it was registered;
+      // older history comes from the paged REST endpoint
+      const since = device.syncCursors.get(conversationId.toString()) ||
+        { at: device.createdAt, id: null };
+      return this.getChangesSince(userId, conversationId, since, syncedAt);
+    }));
+
+    return { conversations: changes.filter(Boolean) };
+  }
+
+  async getChangesSince(userId, conversationId, since, syncedAt) {
+    const [messages, deletedMessageIds] = await Promise.all([
+      Message.find({
+        conversation: conversationId,
+        'deletedFor.user': { $ne: userId },
+        ...this.afterCursor(since)
+      })
+        .select('-deletedFor')
+        .populate('sender', 'name username avatar isVerified')
+        .populate('replyTo', 'content sender createdAt unsentAt')
+        .sort({ changedAt: 1, _id: 1 })
+        .limit(this.syncBatchSize + 1),
+      // Deletions are reported by time alone; repeating one is harmless
+      Message.find({
+        conversation: conversationId,
+        deletedFor: { $elemMatch: { user: userId, deletedAt: { $gte: since.at } } }
+      }).distinct('_id')
+    ]);
+
+    if (messages.length === 0 && deletedMessageIds.length === 0) return null;
+
+    const hasMore = messages.length > this.syncBatchSize;
+    const batch = hasMore ? messages.slice(0, this.syncBatchSize) : messages;
+    const last = batch[batch.length - 1];
+
+    return {
+      conversationId,
+      messages: batch,
+      deletedMessageIds,
+      cursor: hasMore ? this.encodeCursor(last.changedAt, last._id) : this.encodeCursor(syncedAt),
+      hasMore
+    };
+  }
+
+  // Cursor for a single message, sent with live events so clients can acknowledge them
+  cursorFor(message) {
+    return this.encodeCursor(message.changedAt, message._id);
+  }
+
+  // Move a device's cursor forward; it never moves back or past the present.
+  // Returns { cursor } (decoded) or { error, status }.
+  async acknowledge(userId, deviceId, conversationId, encoded) {
+    const cursor = this.decodeCursor(encoded);
+    if (!cursor) {
+      return { error: 'Invalid cursor', status: 400 };
+    }
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+      return { error: 'Invalid conversation id', status: 400 };
+    }
+
+    const now = new Date();
+    const upTo = cursor.at > now ? { at: now, id: null } : cursor;
+
+    const device = await Device.findOne({ user: userId, deviceId }).select('syncCursors');
+    if (!device) {
+      return { error: 'Device not registered', status: 404 };
+    }
+
+    const current = device.syncCursors.get(conversationId.toString());
+    if (current && this.compareCursors(current, upTo) >= 0) {
+      return { cursor: current };
+    }
+
+    await Device.updateOne(
+      { _id: device._id },
+      { [`syncCursors.${conversationId}`]: upTo }
+    );
+
+    return { cursor: upTo };
+  }
+
+  // Messages after a cursor. Without an id the cursor sits before everything changed
+  // at `at`, so those are included (the same change may arrive twice, never not at all).
+  afterCursor({ at, id }) {
+    if (!id) return { changedAt: { $gte: at } };
+
+    return {
+      $or: [
+        { changedAt: { $gt: at } },
+        { changedAt: at, _id: { $gt: id } }
+      ]
+    };
+  }
+
+  // Messages at or before a cursor
+  upToCursor({ at, id }) {
+    if (!id) return { changedAt: { $lt: at } };
+
+    return {
+      $or: [
+        { changedAt: { $lt: at } },
+        { changedAt: at, _id: { $lte: id } }
+      ]
+    };
+  }
+
+  compareCursors(a, b) {
+    const byTime = a.at.getTime() - b.at.getTime();
+    if (byTime !== 0) return byTime;
+    if (!a.id || !b.id) return (a.id ? 1 : 0) - (b.id ? 1 : 0);
+
+    // ObjectId hex strings have a fixed length, so they compare in creation order
+    const [left, right] = [a.id.toString(), b.id.toString()];
+    return left < right ? -1 : left > right ? 1 : 0;
+  }
+
+  // Opaque to clients, like the cursors in utils/pagination.js
+  encodeCursor(at, id = null) {
+    const payload = { at: at.toISOString(), ...(id && { id: id.toString() }) };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  decodeCursor(encoded) {
+    if (typeof encoded !== 'string') return null;
+
+    try {
+      const { at, id } = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+      const date = new Date(at);
+
+      if (Number.isNaN(date.getTime())) return null;
+      if (id !== undefined && !mongoose.Types.ObjectId.isValid(id)) return null;
+
+      return { at: date, id: id ? new mongoose.Types.ObjectId(id) : null };
+    } catch (error) {
+      return null;
+    }
+  }
+}
@@ -0,0 +1,117 @@
+// socket/chatAuthorization.js
+// Per-event authorization for chat sockets. Handlers never trust the ids a client
+// sends: the conversation (or the message's conversation) is loaded here and the
+// socket's authenticated user is checked against it.
+import mongoose from 'mongoose';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import Relationship from '../models/Relationship.js';
+import { BlockService } from '../services/blockService.js';
+
+// Codes sent with `authorization_error` so clients can react without parsing text
+export const CHAT_ERRORS = {
+  INVALID_REQUEST: 'INVALID_REQUEST',
+  NOT_FOUND: 'NOT_FOUND',
+  NOT_PARTICIPANT: 'NOT_PARTICIPANT',
+  CONVERSATION_BLOCKED: 'CONVERSATION_BLOCKED',
+  USER_BLOCKED: 'USER_BLOCKED',
+  MESSAGING_DISABLED: 'MESSAGING_DISABLED',
+  POSTING_RESTRICTED: 'POSTING_RESTRICTED'
+};
+
+// What each kind of event needs beyond being a participant:
+// - read: nothing more (mark read, remove own reaction)
+// - interact: the conversation is open and the users aren't blocked (reactions)
+// - send: interact, plus message permission and the group's posting rule (messages, typing)
+const POLICIES = {
+  read: { open: false, send: false },
+  interact: { open: true, send: false },
+  send: { open: true, send: true }
+};
+
+export class ChatAuthorizer {
+  constructor() {
+    this.blockService = new BlockService();
+  }
+
+  // Resolve and check the target of an event. Pass conversationId, messageId or both
+  // (they must agree). Returns { conversation, message } or { error: { code, message } }.
+  async authorize(userId, { conversationId, messageId } = {}, policy = 'read') {
+    const rules = POLICIES[policy];
+
+    let message = null;
+    if (messageId !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(messageId)) {
+        return this.reject(CHAT_ERRORS.INVALID_REQUEST, 'Invalid message id');
+      }
+
+      message = await Message.findById(messageId);
+      if (!message) {
+        return this.reject(CHAT_ERRORS.NOT_FOUND, 'Message not found');
+      }
+      if (conversationId !== undefined && message.conversation.toString() !== conversationId.toString()) {
+        return this.reject(CHAT_ERRORS.INVALID_REQUEST, 'Message is not in this conversation');
+      }
+
+      conversationId = message.conversation;
+    }
+
+    if (!conversationId || !mongoose.Types.ObjectId.isValid(conversationId)) {
+      return this.reject(CHAT_ERRORS.INVALID_REQUEST, 'Invalid conversation id');
+    }
+
+    const conversation = await Conversation.findById(conversationId)
+      .select('participants isGroup groupAdmins onlyAdminsCanPost isBlocked blockedBy');
+
+    // A conversation the user isn't in looks the same as one that doesn't exist
+    if (!conversation || !this.isParticipant(conversation, userId)) {
+      return this.reject(CHAT_ERRORS.NOT_PARTICIPANT, 'Conversation not found');
+    }
+
+    if (rules.open) {
+      if (conversation.isBlocked) {
+        return this.reject(CHAT_ERRORS.CONVERSATION_BLOCKED, 'This conversation is blocked');
+      }
+
+      const otherId = this.getOtherParticipant(conversation, userId);
+      if (otherId && await this.blockService.isBlocked(userId, otherId)) {
+        return this.reject(CHAT_ERRORS.USER_BLOCKED, 'You cannot message this user');
+      }
+
+      if (rules.send && otherId && !await this.canMessage(userId, otherId)) {
+        return this.reject(CHAT_ERRORS.MESSAGING_DISABLED, 'You cannot message this user');
+      }
+    }
+
+    if (rules.send && conversation.isGroup && conversation.onlyAdminsCanPost &&
+        !(conversation.groupAdmins || []).some(id => id.toString() === userId.toString())) {
+      return this.reject(CHAT_ERRORS.POSTING_RESTRICTED, 'Only admins can send messages in this group');
+    }
+
+    return { conversation, message };
+  }
+
+  // Relationship.canMessage on the sender's row; no row means no restriction
+  async canMessage(senderId, recipientId) {
+    const relationship = await Relationship.findOne({
+      follower: senderId,
+      following: recipientId
+    }).select('canMessage');
+
+    return !relationship || relationship.canMessage !== false;
+  }
+
+  // Blocks and message permissions only apply between the two people in a 1:1 chat
+  getOtherParticipant(conversation, userId) {
+    if (conversation.isGroup) return null;
+    return conversation.participants.find(id => id.toString() !== userId.toString()) || null;
+  }
+
+  isParticipant(conversation, userId) {
+    return conversation.participants.some(id => id.toString() === userId.toString());
+  }
+
+  reject(code, message) {
+    return { error: { code, message } };
+  }
+}
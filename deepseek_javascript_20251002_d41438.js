@@ -0,0 +1,188 @@
+// services/blockService.js
+// Central block/mute policy. Every path that shows one user's content or activity
+// to another (feeds, comments, reactions, mentions, search, stories, chat, shares)
+// asks this service rather than reading Relationship rows itself.
+import mongoose from 'mongoose';
+import Relationship from '../models/Relationship.js';
+import User from '../models/User.js';
+import cache from '../redis/cache.js';
+import { applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+
+export class BlockService {
+  // Ids blocked in either direction: people the user blocked and people who blocked them
+  async getBlockedIds(userId) {
+    const rows = await Relationship.find({
+      status: 'blocked',
+      $or: [{ follower: userId }, { following: userId }]
+    }).select('follower following');
+
+    const id = userId.toString();
+    return rows.map(row => row.follower.toString() === id ? row.following : row.follower);
+  }
+
+  async isBlocked(userA, userB) {
+    if (userA.toString() === userB.toString()) return false;
+
+    return Boolean(await Relationship.exists({
+      status: 'blocked',
+      $or: [
+        { follower: userA, following: userB },
+        { follower: userB, following: userA }
+      ]
+    }));
+  }
+
+  // Followed accounts the user muted
+  async getMutedIds(userId) {
+    return await Relationship.find({ follower: userId, isMuted: true }).distinct('following');
+  }
+
+  // Authors whose posts and stories stay out of the user's feeds
+  async getHiddenAuthorIds(userId) {
+    const [blocked, muted] = await Promise.all([
+      this.getBlockedIds(userId),
+      this.getMutedIds(userId)
+    ]);
+
+    return [...blocked, ...muted];
+  }
+
+  // Keep only ids that aren't blocked either way with `userId`
+  async filterBlocked(userId, ids) {
+    if (ids.length === 0) return ids;
+
+    const blocked = new Set((await this.getBlockedIds(userId)).map(id => id.toString()));
+    return ids.filter(id => !blocked.has(id.toString()));
+  }
+
+  // Block: drops follows both ways so neither side keeps the other's content.
+  // Returns { relationship } or { error, status }.
+  async block(userId, targetId) {
+    const target = await this.findTargetUser(userId, targetId);
+    if (target.error) return target;
+
+    const now = new Date();
+    const relationship = await Relationship.findOneAndUpdate(
+      { follower: userId, following: targetId },
+      {
+        status: 'blocked',
+        isFriend: false,
+        isCloseFriend: false,
+        isMuted: false,
+        blockedAt: now,
+        updatedAt: now
+      },
+      { upsert: true, new: true }
+    );
+
+    // The other side's follow goes too, unless they have blocked this user themselves
+    const reverse = await Relationship.findOneAndDelete({
+      follower: targetId,
+      following: userId,
+      status: { $ne: 'blocked' }
+    });
+
+    await Promise.all([
+      relationship.updateUserCounts(),
+      reverse && reverse.updateUserCounts(),
+      cache.invalidateUserCache(userId),
+      cache.invalidateUserCache(targetId)
+    ]);
+
+    return { relationship };
+  }
+
+  async unblock(userId, targetId) {
+    const relationship = await Relationship.findOneAndDelete({
+      follower: userId,
+      following: targetId,
+      status: 'blocked'
+    });
+
+    if (!relationship) {
+      return { error: 'User is not blocked', status: 404 };
+    }
+
+    await Promise.all([
+      cache.invalidateUserCache(userId),
+      cache.invalidateUserCache(targetId)
+    ]);
+
+    return { relationship };
+  }
+
+  // Mute is soft: the follow stays, the account's posts and stories are just hidden
+  async setMuted(userId, targetId, isMuted) {
+    const target = await this.findTargetUser(userId, targetId);
+    if (target.error) return target;
+
+    const relationship = await Relationship.findOneAndUpdate(
+      {
+        follower: userId,
+        following: targetId,
+        status: { $in: ['accepted', 'pending'] }
+      },
+      isMuted
+        ? { isMuted: true, mutedAt: new Date(), updatedAt: new Date() }
+        : { isMuted: false, $unset: { mutedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!relationship) {
+      return { error: 'You can only mute accounts you follow', status: 400 };
+    }
+
+    await cache.invalidateUserCache(userId);
+
+    return { relationship };
+  }
+
+  // Blocked accounts, most recently blocked first
+  async listBlocked(userId, { cursor, limit }) {
+    return await this.listRelated(
+      { follower: userId, status: 'blocked' },
+      'blockedAt',
+      cursor,
+      limit
+    );
+  }
+
+  // Muted accounts, most recently muted first
+  async listMuted(userId, { cursor, limit }) {
+    return await this.listRelated(
+      { follower: userId, isMuted: true },
+      'mutedAt',
+      cursor,
+      limit
+    );
+  }
+
+  async listRelated(query, field, cursor, limit) {
+    const rows = await Relationship.find(applyCursor(query, cursor, { field }))
+      .populate('following', 'name username avatar isVerified')
+      .sort(cursorSort({ field }))
+      .limit(limit + 1);
+
+    const { items, nextCursor, hasMore } = buildPage(rows, limit, field);
+
+    return {
+      users: items
+        .filter(row => row.following)
+        .map(row => ({ ...row.following.toObject(), [field]: row[field] })),
+      nextCursor,
+      hasMore
+    };
+  }
+
+  async findTargetUser(userId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'User not found', status: 404 };
+    }
+    if (targetId.toString() === userId.toString()) {
+      return { error: 'You cannot do that to yourself', status: 400 };
+    }
+
+    const user = await User.exists({ _id: targetId });
+    return user ? { user } : { error: 'User not found', status: 404 };
+  }
+}
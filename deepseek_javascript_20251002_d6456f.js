@@ -2,6 +2,10 @@
 import { gql } from 'apollo-server-express';
 
 export const typeDefs = gql`
+  # Multipart file upload (graphql-upload); the endpoint needs
+  # graphqlUploadExpress in front of it
+  scalar Upload
+
   type User {
     id: ID!
     name: String!
@@ -16,15 +20,42 @@ export const typeDefs = gql`
     id: ID!
     content: String!
     imageUrl: String
+    media: [PostMedia!]!
     user: User!
     likes: [Like!]!
     comments: [Comment!]!
-    likesCount: Int!
+    # Null when the author hides like counts
+    likesCount: Int
+    reactionSummary: ReactionSummary!
     commentsCount: Int!
+    pinned: Boolean!
+    isSensitive: Boolean!
+    sensitiveCategory: String
+    mediaBlurred: Boolean!
     createdAt: String!
     updatedAt: String!
   }
 
+  type PostMedia {
+    # Blurred preview for sensitive media; null when no preview exists
+    url: String
+    type: String!
+    altText: String
+    width: Int
+    height: Int
+    blurhash: String
+    thumbnail: String
+    duration: Float
+    order: Int!
+    blurred: Boolean!
+  }
+
+  # Carousel item for createPost, processed like POST /api/posts uploads
+  input PostMediaUpload {
+    file: Upload!
+    altText: String
+  }
+
   type Comment {
     id: ID!
     content: String!
@@ -38,6 +69,19 @@ export const typeDefs = gql`
     createdAt: String!
   }
 
+  # Denormalized from the Reaction collection
+  type ReactionSummary {
+    counts: [ReactionCount!]!
+    total: Int
+    topTypes: [String!]!
+    countsHidden: Boolean!
+  }
+
+  type ReactionCount {
+    type: String!
+    count: Int!
+  }
+
   type AuthPayload {
     token: String!
     user: User!
@@ -45,9 +89,10 @@ export const typeDefs = gql`
 
   type Query {
     # Posts queries
-    posts(page: Int, limit: Int): PostFeed!
+    posts(page: Int, limit: Int, first: Int, after: String): PostFeed!
     post(id: ID!): Post
-    userPosts(userId: ID!): [Post!]!
+    # Pinned posts first, then newest
+    userPosts(userId: ID!, limit: Int): [Post!]!
     
     # User queries
     me: User
@@ -63,7 +108,8 @@ export const typeDefs = gql`
     verifyOTP(email: String!, otp: String!): AuthPayload!
     
     # Post mutations
-    createPost(content: String!, imageUrl: String): Post!
+    # Up to 10 images or videos, in carousel order
+    createPost(content: String!, imageUrl: String, media: [PostMediaUpload!]): Post!
     deletePost(id: ID!): Boolean!
     likePost(postId: ID!): Boolean!
     unlikePost(postId: ID!): Boolean!
@@ -75,38 +121,114 @@ export const typeDefs = gql`
     unfollowUser(userId: ID!): Boolean!
   }
 
+  # Relay-style connection; posts/total/page/pages are kept for page-based clients
   type PostFeed {
+    edges: [PostEdge!]!
+    pageInfo: PageInfo!
     posts: [Post!]!
-    total: Int!
-    page: Int!
-    pages: Int!
+    total: Int
+    page: Int
+    pages: Int
+  }
+
+  type PostEdge {
+    cursor: String!
+    node: Post!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    endCursor: String
   }
 `;
 
 // graphql/resolvers.js
+import { getPaginationParams, applyCursor, cursorSort, buildPage, encodeCursor } from '../utils/pagination.js';
+import { FeedService } from '../services/feedService.js';
+import { SensitiveMediaService } from '../services/sensitiveMediaService.js';
+import { CommentService } from '../services/commentService.js';
+import { ReactionService } from '../services/reactionService.js';
+import { BlockService } from '../services/blockService.js';
+import { PostPublishingService } from '../services/postPublishingService.js';
+import { MediaProcessor } from '../services/mediaProcessor.js';
+import GraphQLUpload from 'graphql-upload/GraphQLUpload.mjs';
+import Comment from '../models/Comment.js';
+import Reaction from '../models/Reaction.js';
+
+const feedService = new FeedService();
+const sensitiveMediaService = new SensitiveMediaService();
+const commentService = new CommentService();
+const reactionService = new ReactionService();
+const blockService = new BlockService();
+const postPublishingService = new PostPublishingService();
+const mediaProcessor = new MediaProcessor();
+
+const MAX_POST_MEDIA = 10;
+
+// Sensitive media stays blurred unless the viewer opted in to its category
+const isMediaBlurred = async (post, user) => {
+  if (!post.isSensitive) return false;
+  if (!user) return true;
+
+  const optIn = await sensitiveMediaService.getOptIn(user.id);
+  return !sensitiveMediaService.canSeeOriginal(post, user.id, optIn);
+};
+
 export const resolvers = {
   Query: {
-    posts: async (_, { page = 1, limit = 10 }, { user }) => {
+    posts: async (_, { page, limit, first, after }, { user }) => {
       if (!user) throw new Error('Authentication required');
       
-      const skip = (page - 1) * limit;
-      const posts = await Post.find()
+      const pagination = getPaginationParams(
+        { page, limit: first || limit, cursor: after },
+        { defaultLimit: 10 }
+      );
+
+      if (pagination.invalidCursor) throw new Error('Invalid cursor');
+
+      // Same rules as the home feed: visibility, audiences, private accounts, blocks and mutes
+      const audience = await feedService.getAudience(user.id);
+      const query = feedService.buildVisibilityQuery(user.id, audience);
+
+      const results = await Post.find(applyCursor(query, pagination.cursor))
+        .published()
         .populate('user')
-        .populate('comments.user')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limit);
-      
-      const total = await Post.countDocuments();
+        .sort(cursorSort())
+        .skip(pagination.skip)
+        .limit(pagination.limit + 1);
+
+      const { items: posts, hasMore } = buildPage(results, pagination.limit);
+      const edges = posts.map(post => ({ cursor: encodeCursor(post), node: post }));
+      const connection = {
+        edges,
+        pageInfo: {
+          hasNextPage: hasMore,
+          endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+        },
+        posts
+      };
+
+      if (pagination.cursor) return connection;
+
+      const total = await Post.countDocuments(query).published();
       
       return {
-        posts,
+        ...connection,
         total,
-        page,
-        pages: Math.ceil(total / limit)
+        page: pagination.page,
+        pages: Math.ceil(total / pagination.limit)
       };
     },
     
+    userPosts: async (_, { userId, limit }, { user }) => {
+      if (!user) throw new Error('Authentication required');
+
+      const profile = await feedService.getProfilePosts(userId, user.id, { limit });
+      if (!profile) throw new Error('User not found');
+
+      return profile.posts;
+    },
+    
     me: async (_, __, { user }) => {
       if (!user) throw new Error('Authentication required');
       return await User.findById(user.id);
@@ -140,16 +262,41 @@ export const resolvers = {
       };
     },
 
-    createPost: async (_, { content, imageUrl }, { user }) => {
+    createPost: async (_, { content, imageUrl, media }, { user }) => {
       if (!user) throw new Error('Authentication required');
+
+      const items = media || [];
+      if (items.length > MAX_POST_MEDIA) {
+        throw new Error(`A post can have at most ${MAX_POST_MEDIA} media items`);
+      }
+
+      // Uploads are written to temp files and processed like the REST route's
+      const files = [];
+      try {
+        for (const item of items) {
+          files.push(await mediaProcessor.saveUpload(item.file));
+        }
+      } catch (error) {
+        await Promise.all(files.map(file => mediaProcessor.cleanupTempFile(file.path)));
+        throw error;
+      }
+
+      const processed = await mediaProcessor.processPostMedia(
+        files,
+        items.map(item => item.altText),
+        user.id
+      );
       
       const post = new Post({
         content,
         imageUrl,
-        user: user.id
+        media: processed,
+        user: user.id,
+        publishedAt: new Date()
       });
 
       await post.save();
+      await postPublishingService.runPublishHooks(post);
       await post.populate('user');
       
       return post;
@@ -158,26 +305,113 @@ export const resolvers = {
     likePost: async (_, { postId }, { user }) => {
       if (!user) throw new Error('Authentication required');
       
-      const post = await Post.findById(postId);
-      if (!post) throw new Error('Post not found');
-
-      const existingLike = post.likes.find(
-        like => like.user.toString() === user.id
-      );
+      const result = await reactionService.react({
+        targetType: 'post',
+        targetId: postId,
+        userId: user.id
+      });
 
-      if (existingLike) {
-        throw new Error('Post already liked');
+      if (result.error) {
+        throw new Error(result.status === 404 ? 'Post not found' : result.error);
       }
-
-      post.likes.push({ user: user.id });
-      await post.save();
       
       return true;
+    },
+
+    unlikePost: async (_, { postId }, { user }) => {
+      if (!user) throw new Error('Authentication required');
+
+      const result = await reactionService.removeReaction({
+        targetType: 'post',
+        targetId: postId,
+        userId: user.id
+      });
+
+      return !result.error;
+    },
+
+    addComment: async (_, { postId, content }, { user }) => {
+      if (!user) throw new Error('Authentication required');
+
+      const result = await commentService.createComment({
+        targetType: 'post',
+        targetId: postId,
+        userId: user.id,
+        content
+      });
+
+      if (result.error) throw new Error(result.error);
+
+      return result.comment;
     }
   },
 
+  Upload: GraphQLUpload,
+
   Post: {
-    likesCount: (post) => post.likes.length,
-    commentsCount: (post) => post.comments.length
+    media: async (post, _, { user }) => {
+      const media = [...(post.media || [])].sort((a, b) => a.order - b.order);
+      if (!await isMediaBlurred(post, user)) return media;
+
+      return media.map(item => sensitiveMediaService.maskMediaItem(
+        typeof item.toObject === 'function' ? item.toObject() : item
+      ));
+    },
+    mediaBlurred: (post, _, { user }) => isMediaBlurred(post, user),
+    likes: async (post, _, { user }) => {
+      if (!user) return [];
+
+      // The full list would give away a like count the author hid
+      if (feedService.presentReactionSummary(post, user.id).countsHidden) return [];
+
+      // Reactions from anyone the viewer is blocked with are left out
+      const blocked = await blockService.getBlockedIds(user.id);
+      const reactions = await Reaction.find({
+        targetType: 'post',
+        targetId: post._id,
+        user: { $nin: blocked }
+      })
+        .populate('user')
+        .sort({ createdAt: -1 });
+
+      return reactions.filter(reaction => reaction.user);
+    },
+    likesCount: (post, _, { user }) => {
+      const summary = feedService.presentReactionSummary(post, user ? user.id : '');
+      return summary.countsHidden ? null : summary.total;
+    },
+    reactionSummary: (post, _, { user }) =>
+      feedService.presentReactionSummary(post, user ? user.id : ''),
+    // Top-level comments the viewer may see (same rules as the REST listings),
+    // pinned comment first, then oldest first
+    comments: async (post, _, { user }) => {
+      if (!user) return [];
+
+      return await Comment.find({
+        targetType: 'post',
+        targetId: post._id,
+        parentComment: null,
+        ...await commentService.visibilityFilter(post, user.id)
+      })
+        .populate('user')
+        .sort({ isPinned: -1, createdAt: 1 });
+    },
+    commentsCount: (post) => post.commentCount || 0,
+    pinned: (post) => Boolean(post.$locals && post.$locals.pinned)
+  },
+
+  PostMedia: {
+    blurred: (item) => Boolean(item.blurred)
+  },
+
+  ReactionSummary: {
+    // Documents hold a Map, plain/lean objects a record
+    counts: (summary) => {
+      const counts = summary.counts || {};
+      const entries = counts instanceof Map ? [...counts] : Object.entries(counts);
+      return entries.map(([type, count]) => ({ type, count }));
+    },
+    topTypes: (summary) => summary.topTypes || [],
+    countsHidden: (summary) => Boolean(summary.countsHidden)
   }
 };
\ No newline at end of file
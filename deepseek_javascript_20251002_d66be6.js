@@ -1,16 +1,25 @@
 // services/taggingService.js
 import natural from 'natural';
+import mongoose from 'mongoose';
 import { User, Post } from '../models/User.js';
+import Notification from '../models/Notification.js';
+import { BlockService } from './blockService.js';
 
 export class TaggingService {
   constructor() {
     this.tokenizer = new natural.WordTokenizer();
     this.tagger = new natural.BrillPOSTagger();
+    this.blockService = new BlockService();
   }
 
   // Extract tags from text content
   async extractTags(content, options = {}) {
-    const { extractUsers = true, extractLocations = true, extractHashtags = true } = options;
+    const {
+      extractUsers = true,
+      extractLocations = true,
+      extractHashtags = true,
+      authorId = null
+    } = options;
     const tags = {
       users: [],
       locations: [],
@@ -18,7 +27,7 @@ export class TaggingService {
     };
 
     if (extractUsers) {
-      tags.users = await this.extractUserMentions(content);
+      tags.users = await this.extractUserMentions(content, authorId);
     }
 
     if (extractLocations) {
@@ -32,8 +41,9 @@ export class TaggingService {
     return tags;
   }
 
-  // Extract user mentions (@username)
-  async extractUserMentions(content) {
+  // Extract user mentions (@username). With an author, users blocked either way
+  // with them are dropped so they can't be tagged or notified.
+  async extractUserMentions(content, authorId = null) {
     const mentionRegex = /@([a-zA-Z0-9._]+)/g;
     const mentions = [];
     let match;
@@ -58,7 +68,14 @@ export class TaggingService {
       }
     }
 
-    return mentions;
+    if (!authorId || mentions.length === 0) return mentions;
+
+    const allowed = new Set(
+      (await this.blockService.filterBlocked(authorId, mentions.map(mention => mention.user)))
+        .map(id => id.toString())
+    );
+
+    return mentions.filter(mention => allowed.has(mention.user.toString()));
   }
 
   // Extract location mentions
@@ -100,8 +117,8 @@ export class TaggingService {
   }
 
   // Process and apply tags to content
-  async processContentTags(content, contentType, contentId) {
-    const tags = await this.extractTags(content);
+  async processContentTags(content, contentType, contentId, authorId = null) {
+    const tags = await this.extractTags(content, { authorId });
 
     // Update content with tags
     const updateData = {};
@@ -123,20 +140,23 @@ export class TaggingService {
     await Model.findByIdAndUpdate(contentId, updateData);
 
     // Create notifications for mentioned users
-    await this.createMentionNotifications(tags.users, contentType, contentId);
+    await this.createMentionNotifications(tags.users, contentType, contentId, authorId);
 
     return tags;
   }
 
   // Create notifications for mentioned users
-  async createMentionNotifications(mentionedUsers, contentType, contentId) {
+  async createMentionNotifications(mentionedUsers, contentType, contentId, authorId = null) {
     const notifications = [];
 
     for (const mention of mentionedUsers) {
+      // Don't notify authors about mentioning themselves
+      if (authorId && mention.user.toString() === authorId.toString()) continue;
+
       notifications.push({
         user: mention.user,
         type: 'mention',
-        fromUser: mention.user, // This should be the content creator
+        fromUser: authorId || mention.user,
         [contentType]: contentId,
         message: `You were mentioned in a ${contentType}`
       });
@@ -165,8 +185,8 @@ export class TaggingService {
         sortOptions = { 
           $sort: {
             $add: [
-              { $size: '$likes' },
-              { $multiply: [{ $size: '$comments' }, 2] }
+              { $ifNull: ['$reactionSummary.total', 0] },
+              { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] }
             ]
           }
         };
@@ -219,8 +239,8 @@ export class TaggingService {
           engagement: {
             $sum: {
               $add: [
-                { $size: '$likes' },
-                { $multiply: [{ $size: '$comments' }, 2] }
+                { $ifNull: ['$reactionSummary.total', 0] },
+                { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] }
               ]
             }
           },
@@ -0,0 +1,101 @@
+// scripts/migrateEmbeddedComments.js
+// Moves the embedded Post.comments[] array into Comment documents.
+// Comment ids are reused so notifications and client links keep pointing at the same comment.
+// Embedded comment likes become Reaction documents.
+// Safe to re-run: existing Comment and Reaction documents are left untouched.
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Reaction from '../models/Reaction.js';
+
+const BATCH_SIZE = 100;
+
+async function migrateCommentLikes(comment) {
+  const likes = comment.likes || [];
+  if (likes.length === 0) return;
+
+  await Reaction.bulkWrite(likes.map(like => ({
+    updateOne: {
+      filter: { targetType: 'comment', targetId: comment._id, user: like.user },
+      update: {
+        $setOnInsert: { reactionType: 'like', emoji: '👍', createdAt: like.createdAt }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  await Reaction.refreshSummary('comment', comment._id);
+}
+
+async function migratePost(post) {
+  const embedded = post.comments || [];
+
+  if (embedded.length > 0) {
+    await Comment.bulkWrite(embedded.map(comment => ({
+      updateOne: {
+        filter: { _id: comment._id },
+        update: {
+          $setOnInsert: {
+            targetType: 'post',
+            targetId: post._id,
+            user: comment.user,
+            content: comment.content,
+            parentComment: null,
+            depth: 0,
+            mentions: comment.mentions || [],
+            createdAt: comment.createdAt,
+            updatedAt: comment.updatedAt || comment.createdAt
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+
+    for (const comment of embedded) {
+      await migrateCommentLikes(comment);
+    }
+  }
+
+  const commentCount = await Comment.countDocuments({
+    targetType: 'post',
+    targetId: post._id
+  });
+
+  // The embedded array is no longer part of the schema, so go through the driver
+  await Post.collection.updateOne(
+    { _id: post._id },
+    { $set: { commentCount }, $unset: { comments: '' } }
+  );
+
+  return embedded.length;
+}
+
+async function run() {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/peoplelink');
+
+  const cursor = Post.collection.find(
+    {},
+    { projection: { comments: 1 }, batchSize: BATCH_SIZE }
+  );
+
+  let posts = 0;
+  let comments = 0;
+
+  for await (const post of cursor) {
+    comments += await migratePost(post);
+    posts += 1;
+
+    if (posts % BATCH_SIZE === 0) {
+      console.log(`Processed ${posts} posts (${comments} comments moved)`);
+    }
+  }
+
+  console.log(`Done: ${posts} posts processed, ${comments} embedded comments moved`);
+}
+
+run()
+  .catch(error => {
+    console.error('Comment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,31 @@
+// workers/scheduledPostWorker.js
+import { PostPublishingService } from '../services/postPublishingService.js';
+
+export class ScheduledPostWorker {
+  constructor() {
+    this.publishingService = new PostPublishingService();
+    this.isRunning = false;
+  }
+
+  async run() {
+    // Skip the tick if the previous one is still publishing
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      const published = await this.publishingService.publishDuePosts();
+
+      if (published.length > 0) {
+        console.log(`Published ${published.length} scheduled posts`);
+      }
+    } catch (error) {
+      console.error('Scheduled post worker error:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+// Initialize and check for due posts every minute
+const scheduledPostWorker = new ScheduledPostWorker();
+setInterval(() => scheduledPostWorker.run(), 60000);
\ No newline at end of file
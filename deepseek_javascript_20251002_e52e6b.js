@@ -0,0 +1,6 @@
+// socket/chatEvents.js
+// Lets services and REST routes tell the socket layer about conversation changes
+// without holding a reference to the Socket.io server. ChatHandler subscribes.
+import { EventEmitter } from 'events';
+
+export const chatEvents = new EventEmitter();
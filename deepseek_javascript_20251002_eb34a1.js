@@ -0,0 +1,36 @@
+// models/AudienceList.js
+import mongoose from 'mongoose';
+
+// A named set of users a post or story can be restricted to (visibility 'audience')
+const audienceListSchema = new mongoose.Schema({
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+audienceListSchema.index({ owner: 1, name: 1 }, { unique: true });
+// Feed and canView look lists up by member
+audienceListSchema.index({ members: 1 });
+
+export default mongoose.model('AudienceList', audienceListSchema);
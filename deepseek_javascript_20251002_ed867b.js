@@ -0,0 +1,332 @@
+// services/reactionService.js
+import mongoose from 'mongoose';
+import Reaction, { REACTION_TYPES } from '../models/Reaction.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Relationship from '../models/Relationship.js';
+import Notification from '../models/Notification.js';
+import { applyCursor, cursorSort, buildPage } from '../utils/pagination.js';
+import { FeedService } from './feedService.js';
+import { CommentService } from './commentService.js';
+import { ReactionPackService } from './reactionPackService.js';
+import { BlockService } from './blockService.js';
+
+export class ReactionService {
+  constructor() {
+    this.reactionTypes = REACTION_TYPES;
+    this.feedService = new FeedService();
+    this.commentService = new CommentService();
+    this.packService = new ReactionPackService();
+    this.blockService = new BlockService();
+    this.highlightLimit = 3;
+    // How many followed reactors are checked for a follow-back per request
+    this.mutualCandidateLimit = 50;
+  }
+
+  // Add or change the user's reaction.
+  // Returns { reaction, summary, created } or { error, status }.
+  async react({ targetType, targetId, userId, reactionType = 'like' }) {
+    const target = await this.findTarget(targetType, targetId, userId);
+    if (!target) {
+      return { error: 'Target not found', status: 404 };
+    }
+
+    const types = await this.getAvailableTypes(targetType, target);
+    const definition = types.find(type => type.id === reactionType);
+    if (!definition) {
+      return { error: 'That reaction is not available here', status: 400 };
+    }
+
+    const filter = { targetType, targetId: target._id, user: userId };
+
+    // Upsert so a double tap can't trip the unique index; the pre-update
+    // document tells us whether this is a new reaction or a changed one
+    const previous = await Reaction.findOneAndUpdate(
+      filter,
+      {
+        reactionType,
+        emoji: definition.emoji,
+        imageUrl: definition.imageUrl,
+        pack: definition.pack && definition.pack.id,
+        createdAt: new Date()
+      },
+      { upsert: true, runValidators: true }
+    );
+
+    const [reaction, summary] = await Promise.all([
+      Reaction.findOne(filter).populate('user', 'name username avatar'),
+      Reaction.refreshSummary(targetType, target._id)
+    ]);
+
+    if (!previous) {
+      await this.notifyOwner(target, targetType, userId);
+    }
+
+    return {
+      reaction,
+      summary: this.presentSummary(targetType, target, summary, userId),
+      created: !previous
+    };
+  }
+
+  // Returns { summary } or { error, status }
+  async removeReaction({ targetType, targetId, userId }) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'Reaction not found', status: 404 };
+    }
+
+    const reaction = await Reaction.findOneAndDelete({ targetType, targetId, user: userId });
+    if (!reaction) {
+      return { error: 'Reaction not found', status: 404 };
+    }
+
+    const [summary, target] = await Promise.all([
+      Reaction.refreshSummary(targetType, targetId),
+      targetType === 'post' ? Post.findById(targetId).select('user hideLikeCount') : null
+    ]);
+
+    return { summary: this.presentSummary(targetType, target, summary, userId) };
+  }
+
+  // Like-button semantics: any existing reaction is removed, otherwise one is added.
+  // Returns { reacted, summary } or { error, status }.
+  async toggleReaction({ targetType, targetId, userId, reactionType = 'like' }) {
+    const existing = mongoose.Types.ObjectId.isValid(targetId) &&
+      await Reaction.exists({ targetType, targetId, user: userId });
+
+    const result = existing
+      ? await this.removeReaction({ targetType, targetId, userId })
+      : await this.react({ targetType, targetId, userId, reactionType });
+
+    if (result.error) return result;
+
+    return { reacted: !existing, summary: result.summary };
+  }
+
+  // Counts as the viewer may see them; only posts let their author hide them
+  presentSummary(targetType, target, summary, viewerId) {
+    if (targetType === 'post' && target) {
+      return this.feedService.presentReactionSummary(target, viewerId, summary);
+    }
+
+    const { total = 0, topTypes = [] } = summary || {};
+    return { counts: this.countsOf(summary), total, topTypes };
+  }
+
+  // Documents hold counts in a Map, refreshSummary and lean reads in a plain object
+  countsOf(summary) {
+    const counts = (summary && summary.counts) || {};
+    return counts instanceof Map ? Object.fromEntries(counts) : counts;
+  }
+
+  // Reactors grouped by reaction type, newest first, each group paged on its own.
+  // With `reactionType` only that group is returned (use its nextCursor for more).
+  // Accounts blocked either way with the viewer are left out; mutual follows lead the highlight.
+  async getReactors(targetType, target, viewerId, { reactionType, cursor, limit }) {
+    const hiddenIds = await this.blockService.getBlockedIds(viewerId);
+    const baseQuery = { targetType, targetId: target._id, user: { $nin: hiddenIds } };
+
+    const summary = this.presentSummary(targetType, target, target.reactionSummary, viewerId);
+    // Groups are listed even when the author hides counts; only the numbers are withheld
+    const counts = this.countsOf(target.reactionSummary);
+
+    const types = reactionType
+      ? [reactionType]
+      : Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+
+    const [mutualIds, userReaction] = await Promise.all([
+      this.getMutualReactorIds(baseQuery, viewerId),
+      Reaction.findOne({ targetType, targetId: target._id, user: viewerId })
+    ]);
+
+    const groups = await Promise.all(types.map(async type => {
+      const reactions = await Reaction.find(applyCursor({ ...baseQuery, reactionType: type }, cursor))
+        .populate('user', 'name username avatar isVerified')
+        .sort(cursorSort())
+        .limit(limit + 1);
+
+      const { items, hasMore, nextCursor } = buildPage(reactions, limit);
+
+      return {
+        reactionType: type,
+        count: summary.countsHidden ? null : counts[type] || 0,
+        reactors: items
+          .filter(reaction => reaction.user)
+          .map(reaction => this.presentReactor(reaction, mutualIds)),
+        nextCursor,
+        hasMore
+      };
+    }));
+
+    return {
+      summary,
+      highlight: cursor ? null : await this.getHighlight(baseQuery, mutualIds, summary),
+      groups,
+      userReaction
+    };
+  }
+
+  // "Liked by Alice and 23 others", preferring people the viewer follows mutually
+  async getHighlight(baseQuery, mutualIds, summary) {
+    let reactions = [];
+
+    if (mutualIds.size > 0) {
+      reactions = await Reaction.find({
+        ...baseQuery,
+        user: { ...baseQuery.user, $in: [...mutualIds] }
+      })
+        .populate('user', 'name username avatar')
+        .sort(cursorSort())
+        .limit(this.highlightLimit);
+    }
+
+    if (reactions.length === 0) {
+      reactions = await Reaction.find(baseQuery)
+        .populate('user', 'name username avatar')
+        .sort(cursorSort())
+        .limit(1);
+    }
+
+    const users = reactions.map(reaction => reaction.user).filter(Boolean);
+    if (users.length === 0) return null;
+
+    const lead = users[0].name;
+    let text;
+
+    if (summary.countsHidden) {
+      text = `Liked by ${lead} and others`;
+    } else {
+      const others = summary.total - 1;
+      text = others > 0
+        ? `Liked by ${lead} and ${others} ${others === 1 ? 'other' : 'others'}`
+        : `Liked by ${lead}`;
+    }
+
+    return {
+      users: users.map(user => ({ ...user.toObject(), isMutual: mutualIds.has(user._id.toString()) })),
+      text
+    };
+  }
+
+  presentReactor(reaction, mutualIds) {
+    return {
+      user: reaction.user,
+      reactionType: reaction.reactionType,
+      emoji: reaction.emoji,
+      imageUrl: reaction.imageUrl,
+      createdAt: reaction.createdAt,
+      isMutual: mutualIds.has(reaction.user._id.toString())
+    };
+  }
+
+  // Reactors the viewer follows and who follow the viewer back. Only the most recent
+  // followed reactors are checked, which is plenty for highlighting.
+  async getMutualReactorIds(baseQuery, viewerId) {
+    const followingIds = await Relationship.find({
+      follower: viewerId,
+      status: 'accepted'
+    }).distinct('following');
+    if (followingIds.length === 0) return new Set();
+
+    const reactions = await Reaction.find({
+      ...baseQuery,
+      user: { ...baseQuery.user, $in: followingIds }
+    })
+      .select('user')
+      .sort(cursorSort())
+      .limit(this.mutualCandidateLimit);
+
+    if (reactions.length === 0) return new Set();
+    const candidates = reactions.map(reaction => reaction.user);
+
+    const followBacks = await Relationship.find({
+      follower: { $in: candidates },
+      following: viewerId,
+      status: 'accepted'
+    }).distinct('follower');
+
+    return new Set(followBacks.map(id => id.toString()));
+  }
+
+  // Conversation packs only apply to that conversation's messages
+  async getAvailableTypes(targetType, target) {
+    const conversationId = targetType === 'message' ? target.conversation : null;
+    return await this.packService.getAvailableTypes(conversationId);
+  }
+
+  // Chat clients send the emoji they tapped rather than a reaction type
+  typeForEmoji(emoji) {
+    return Object.keys(this.reactionTypes)
+      .find(type => this.reactionTypes[type].emoji === emoji);
+  }
+
+  // The target if it exists and the user may see it, otherwise null.
+  // Content by someone the user is blocked with counts as not found.
+  async findTarget(targetType, targetId, userId) {
+    const target = await this.findVisibleTarget(targetType, targetId, userId);
+    if (!target) return null;
+
+    const ownerId = target.user || target.sender;
+    return await this.blockService.isBlocked(userId, ownerId) ? null : target;
+  }
+
+  async findVisibleTarget(targetType, targetId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) return null;
+
+    switch (targetType) {
+      case 'post': {
+        const post = await Post.findById(targetId);
+        if (!post || post.status === 'draft' || post.status === 'scheduled') return null;
+        return await this.feedService.canViewPost(post, userId) ? post : null;
+      }
+
+      case 'comment': {
+        const comment = await Comment.findById(targetId);
+        if (!comment) return null;
+
+        const parent = await this.commentService.validateTarget(
+          comment.targetType,
+          comment.targetId,
+          userId
+        );
+        return parent ? comment : null;
+      }
+
+      case 'story': {
+        const story = await mongoose.model('Story').findById(targetId);
+        if (!story || story.expiresAt <= new Date()) return null;
+        return await story.canView(userId.toString()) ? story : null;
+      }
+
+      case 'message': {
+        const message = await mongoose.model('Message').findById(targetId);
+        if (!message) return null;
+
+        const isParticipant = await mongoose.model('Conversation').exists({
+          _id: message.conversation,
+          participants: userId
+        });
+        return isParticipant ? message : null;
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  async notifyOwner(target, targetType, userId) {
+    const ownerId = target.user || target.sender;
+    if (ownerId.toString() === userId.toString()) return;
+
+    const user = await User.findById(userId).select('name');
+
+    await Notification.create({
+      user: ownerId,
+      type: 'reaction',
+      fromUser: userId,
+      [targetType]: target._id,
+      message: `${user.name} reacted to your ${targetType}`
+    });
+  }
+}
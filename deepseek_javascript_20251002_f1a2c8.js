@@ -0,0 +1,24 @@
+// models/SavedPost.js
+import mongoose from 'mongoose';
+
+const savedPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+savedPostSchema.index({ user: 1, post: 1 }, { unique: true });
+savedPostSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('SavedPost', savedPostSchema);
\ No newline at end of file
@@ -0,0 +1,82 @@
+// models/ReactionPack.js
+import mongoose from 'mongoose';
+
+const packReactionSchema = new mongoose.Schema({
+  // Stored as Reaction.reactionType, so it must not clash with anything else the target allows
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: /^[a-z0-9_]{2,32}$/
+  },
+  emoji: {
+    type: String,
+    maxlength: 16
+  },
+  imageUrl: String,
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 40
+  }
+});
+
+packReactionSchema.pre('validate', function(next) {
+  if (!this.emoji && !this.imageUrl) {
+    this.invalidate('emoji', 'A reaction needs an emoji or an image');
+  }
+  next();
+});
+
+const reactionPackSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 50
+  },
+  
+  // Platform packs apply everywhere; conversation packs only to that group chat's messages
+  scope: {
+    type: String,
+    enum: ['platform', 'conversation'],
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: function() {
+      return this.scope === 'conversation';
+    }
+  },
+  
+  reactions: [packReactionSchema],
+  
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // Retired packs stay so existing reactions can still be rendered
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+reactionPackSchema.index({ scope: 1, conversation: 1, isActive: 1 });
+reactionPackSchema.index({ 'reactions.key': 1 });
+
+export default mongoose.model('ReactionPack', reactionPackSchema);
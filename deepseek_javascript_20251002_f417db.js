@@ -12,15 +12,40 @@ const messageSchema = new mongoose.Schema({
   },
   content: { 
     type: String, 
-    required: true,
+    // Unsent messages stay behind as empty tombstones
+    required: function() { return !this.unsentAt; },
     maxlength: 5000 
   },
+  
+  // System messages record group changes in the thread; content holds the
+  // rendered text and systemEvent the structured change
+  type: {
+    type: String,
+    enum: ['user', 'system'],
+    default: 'user'
+  },
+  systemEvent: {
+    action: {
+      type: String,
+      enum: [
+        'participants_added', 'participant_removed', 'participant_left',
+        'admin_promoted', 'admin_demoted', 'renamed', 'photo_changed',
+        'posting_restricted', 'posting_opened'
+      ]
+    },
+    targets: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    value: String
+  },
   media: [{
     type: String, // URL to media file
     mediaType: String // image, video, audio, file
   }],
   
-  // Message status
+  // Message status: delivered once any of the recipient's devices has it, read once they've seen it
+  deliveredTo: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deliveredAt: { type: Date, default: Date.now }
+  }],
   readBy: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     readAt: { type: Date, default: Date.now }
@@ -32,16 +57,36 @@ const messageSchema = new mongoose.Schema({
     ref: 'Message' 
   },
   
-  // Reactions
-  reactions: [{
+  // Counts per reaction type, maintained by Reaction.refreshSummary
+  reactionSummary: {
+    counts: { type: Map, of: Number, default: {} },
+    total: { type: Number, default: 0 },
+    topTypes: [String]
+  },
+  
+  // Edits keep the earlier versions, oldest first
+  editedAt: { type: Date },
+  editHistory: [{
+    content: String,
+    editedAt: { type: Date, default: Date.now }
+  }],
+  
+  // Unsent for everyone vs. hidden for individual participants
+  unsentAt: { type: Date },
+  deletedFor: [{
     user: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    emoji: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
+    deletedAt: { type: Date, default: Date.now }
   }],
   
-  createdAt: { type: Date, default: Date.now }
+  createdAt: { type: Date, default: Date.now },
+  // Bumped on create, edit and unsend; device sync cursors run over (changedAt, _id)
+  changedAt: { type: Date, default: Date.now }
 });
 
+// History is paged newest first within a conversation
+messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, changedAt: 1, _id: 1 });
+
 // models/Conversation.js
 const conversationSchema = new mongoose.Schema({
   participants: [{
@@ -55,6 +100,7 @@ const conversationSchema = new mongoose.Schema({
   groupName: { type: String },
   groupPhoto: { type: String },
   groupAdmins: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  onlyAdminsCanPost: { type: Boolean, default: false },
   
   // Last message for preview
   lastMessage: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
@@ -63,6 +109,16 @@ const conversationSchema = new mongoose.Schema({
   isBlocked: { type: Boolean, default: false },
   blockedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   
+  // Sorted "userId:userId" pair of a 1:1 chat; unique, so a pair has one chat
+  directKey: { type: String },
+  
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
-});
\ No newline at end of file
+});
+
+// Inbox listing, most recently active first
+conversationSchema.index({ participants: 1, updatedAt: -1 });
+conversationSchema.index(
+  { directKey: 1 },
+  { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } }
+);
\ No newline at end of file
@@ -0,0 +1,216 @@
+// services/suggestionService.js
+// "People you may know": candidates come from the social graph (friends of the
+// people you follow), hashtags you both follow, and posts you've both engaged with.
+import mongoose from 'mongoose';
+import Relationship from '../models/Relationship.js';
+import User from '../models/User.js';
+import Reaction from '../models/Reaction.js';
+import Comment from '../models/Comment.js';
+import HashtagFollow from '../models/HashtagFollow.js';
+import SuggestionDismissal from '../models/SuggestionDismissal.js';
+import { BlockService } from './blockService.js';
+
+export class SuggestionService {
+  constructor() {
+    // One mutual follow outweighs a shared hashtag or a post engaged with in common
+    this.weights = { mutual: 3, hashtag: 1, engagement: 2 };
+    this.candidateLimit = 200;
+    // Recent posts of the user's own engagement that co-engagement is measured on
+    this.engagedPostLimit = 100;
+    this.blockService = new BlockService();
+  }
+
+  // Ranked suggestions, each with the reason it was suggested
+  async getSuggestions(userId, { limit = 20 } = {}) {
+    const viewerId = new mongoose.Types.ObjectId(userId);
+
+    const [following, excluded] = await Promise.all([
+      Relationship.find({ follower: viewerId, status: 'accepted' }).distinct('following'),
+      this.getExcludedIds(viewerId)
+    ]);
+
+    const [mutuals, hashtags, engagement] = await Promise.all([
+      this.scoreMutualFollows(following, excluded),
+      this.scoreSharedHashtags(viewerId, excluded),
+      this.scoreCoEngagement(viewerId, excluded)
+    ]);
+
+    const scores = new Map();
+    const add = (id, signal, entry) => {
+      const key = id.toString();
+      const current = scores.get(key) || { id, score: 0 };
+      current[signal] = entry;
+      current.score += entry.count * this.weights[signal];
+      scores.set(key, current);
+    };
+
+    mutuals.forEach(entry => add(entry._id, 'mutual', entry));
+    hashtags.forEach(entry => add(entry._id, 'hashtag', entry));
+    engagement.forEach(entry => add(entry._id, 'engagement', entry));
+
+    const ranked = [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+
+    if (ranked.length === 0) return [];
+
+    const viaIds = ranked.flatMap(entry => (entry.mutual ? entry.mutual.via : []));
+    const [users, viaUsers] = await Promise.all([
+      User.find({ _id: { $in: ranked.map(entry => entry.id) } })
+        .select('name username avatar isVerified isPrivate'),
+      User.find({ _id: { $in: viaIds } }).select('name username')
+    ]);
+
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const viaById = new Map(viaUsers.map(user => [user._id.toString(), user]));
+
+    return ranked
+      .filter(entry => usersById.has(entry.id.toString()))
+      .map(entry => ({
+        user: usersById.get(entry.id.toString()),
+        score: entry.score,
+        mutualCount: entry.mutual ? entry.mutual.count : 0,
+        sharedHashtags: entry.hashtag ? entry.hashtag.tags : [],
+        reason: this.explain(entry, viaById)
+      }));
+  }
+
+  // Self, accounts already followed or requested, blocks either way, and dismissals
+  async getExcludedIds(viewerId) {
+    const [related, blocked, dismissed] = await Promise.all([
+      Relationship.find({
+        follower: viewerId,
+        status: { $in: ['accepted', 'pending'] }
+      }).distinct('following'),
+      this.blockService.getBlockedIds(viewerId),
+      SuggestionDismissal.find({ user: viewerId }).distinct('dismissedUser')
+    ]);
+
+    return [viewerId, ...related, ...blocked, ...dismissed]
+      .map(id => new mongoose.Types.ObjectId(id));
+  }
+
+  // Accounts followed by people the user follows, with a few of those people
+  async scoreMutualFollows(following, excluded) {
+    if (following.length === 0) return [];
+
+    return await Relationship.aggregate([
+      {
+        $match: {
+          follower: { $in: following },
+          following: { $nin: excluded },
+          status: 'accepted'
+        }
+      },
+      { $sort: { createdAt: -1 } },
+      { $group: { _id: '$following', count: { $sum: 1 }, via: { $push: '$follower' } } },
+      { $sort: { count: -1 } },
+      { $limit: this.candidateLimit },
+      { $project: { count: 1, via: { $slice: ['$via', 2] } } }
+    ]);
+  }
+
+  async scoreSharedHashtags(viewerId, excluded) {
+    const tags = await HashtagFollow.find({ user: viewerId }).distinct('hashtag');
+    if (tags.length === 0) return [];
+
+    return await HashtagFollow.aggregate([
+      { $match: { hashtag: { $in: tags }, user: { $nin: excluded } } },
+      { $group: { _id: '$user', count: { $sum: 1 }, tags: { $push: '$hashtag' } } },
+      { $sort: { count: -1 } },
+      { $limit: this.candidateLimit },
+      { $project: { count: 1, tags: { $slice: ['$tags', 3] } } }
+    ]);
+  }
+
+  // People who reacted to or commented on the same recent posts as the user
+  async scoreCoEngagement(viewerId, excluded) {
+    const [reacted, commented] = await Promise.all([
+      Reaction.find({ user: viewerId, targetType: 'post' })
+        .select('targetId')
+        .sort({ createdAt: -1 })
+        .limit(this.engagedPostLimit),
+      Comment.find({ user: viewerId, targetType: 'post' })
+        .select('targetId')
+        .sort({ createdAt: -1 })
+        .limit(this.engagedPostLimit)
+    ]);
+
+    const postIds = [...new Map(
+      [...reacted, ...commented].map(doc => [doc.targetId.toString(), doc.targetId])
+    ).values()];
+    if (postIds.length === 0) return [];
+
+    const match = { targetType: 'post', targetId: { $in: postIds }, user: { $nin: excluded } };
+    // Count each shared post once per person, however they engaged with it
+    const pipeline = [
+      { $match: match },
+      { $group: { _id: { user: '$user', post: '$targetId' } } }
+    ];
+
+    const [fromReactions, fromComments] = await Promise.all([
+      Reaction.aggregate(pipeline),
+      Comment.aggregate(pipeline)
+    ]);
+
+    const postsByUser = new Map();
+    [...fromReactions, ...fromComments].forEach(({ _id }) => {
+      const key = _id.user.toString();
+      if (!postsByUser.has(key)) postsByUser.set(key, { _id: _id.user, posts: new Set() });
+      postsByUser.get(key).posts.add(_id.post.toString());
+    });
+
+    return [...postsByUser.values()]
+      .map(entry => ({ _id: entry._id, count: entry.posts.size }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, this.candidateLimit);
+  }
+
+  // The strongest signal wins: mutual follows, then hashtags, then engagement
+  explain(entry, viaById) {
+    if (entry.mutual) {
+      const names = entry.mutual.via
+        .map(id => viaById.get(id.toString()))
+        .filter(Boolean)
+        .map(user => user.username || user.name);
+
+      if (names.length > 0) {
+        const others = entry.mutual.count - 1;
+        return others > 0
+          ? `Followed by ${names[0]} and ${others} ${others === 1 ? 'other' : 'others'}`
+          : `Followed by ${names[0]}`;
+      }
+    }
+
+    if (entry.hashtag) {
+      const tags = entry.hashtag.tags.map(tag => `#${tag}`);
+      return tags.length > 1
+        ? `Also follows ${tags.slice(0, -1).join(', ')} and ${tags[tags.length - 1]}`
+        : `Also follows ${tags[0]}`;
+    }
+
+    return 'Engages with the same posts as you';
+  }
+
+  // Returns { dismissal } or { error, status }
+  async dismiss(userId, targetId) {
+    if (!mongoose.Types.ObjectId.isValid(targetId)) {
+      return { error: 'User not found', status: 404 };
+    }
+    if (targetId.toString() === userId.toString()) {
+      return { error: 'Cannot dismiss yourself', status: 400 };
+    }
+
+    if (!await User.exists({ _id: targetId })) {
+      return { error: 'User not found', status: 404 };
+    }
+
+    const dismissal = await SuggestionDismissal.findOneAndUpdate(
+      { user: userId, dismissedUser: targetId },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, new: true }
+    );
+
+    return { dismissal };
+  }
+}
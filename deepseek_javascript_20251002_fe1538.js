@@ -1,93 +1,191 @@
 // routes/reactions.js
 import express from 'express';
+import multer from 'multer';
 import { authMiddleware } from '../middleware/auth.js';
 import Reaction from '../models/Reaction.js';
-import Post from '../models/Post.js';
-import Comment from '../models/Comment.js';
-import Notification from '../models/Notification.js';
+import { getPaginationParams } from '../utils/pagination.js';
+import { ReactionService } from '../services/reactionService.js';
+import { ReactionPackService } from '../services/reactionPackService.js';
+import { BlockService } from '../services/blockService.js';
 
 const router = express.Router();
+const reactionService = new ReactionService();
+const reactionPackService = new ReactionPackService();
+const blockService = new BlockService();
+
+// Pack reaction images are small; MediaProcessor reads them from disk
+const upload = multer({
+  dest: 'uploads/tmp',
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only images are allowed.'));
+    }
+  }
+});
 
-// Available reactions with emojis
-const REACTION_TYPES = {
-  like: { emoji: '👍', label: 'Like' },
-  love: { emoji: '❤️', label: 'Love' },
-  haha: { emoji: '😂', label: 'Haha' },
-  wow: { emoji: '😮', label: 'Wow' },
-  sad: { emoji: '😢', label: 'Sad' },
-  angry: { emoji: '😠', label: 'Angry' },
-  care: { emoji: '🤗', label: 'Care' }
-};
-
-// Add reaction to content
-router.post('/:targetType/:targetId', authMiddleware, async (req, res) => {
+// Pack and type routes come first so '/packs/:packId' isn't read as
+// '/:targetType/:targetId'
+
+// Reactions allowed on a target (built-in, platform packs, conversation packs).
+// Without a target, lists the platform-wide set.
+router.get('/types', authMiddleware, async (req, res) => {
   try {
-    const { targetType, targetId } = req.params;
-    const { reactionType = 'like', customReaction } = req.body;
+    const { targetType, targetId } = req.query;
+
+    if (!targetType && !targetId) {
+      return res.json({ types: await reactionPackService.getAvailableTypes() });
+    }
 
-    // Validate target exists
-    const target = await validateTarget(targetType, targetId);
+    const target = await reactionService.findTarget(targetType, targetId, req.user.id);
     if (!target) {
       return res.status(404).json({ message: 'Target not found' });
     }
 
-    // Check if reaction already exists
-    let reaction = await Reaction.findOne({
+    res.json({
       targetType,
       targetId,
-      user: req.user.id
+      types: await reactionService.getAvailableTypes(targetType, target)
     });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (reaction) {
-      // Update existing reaction
-      reaction.reactionType = reactionType;
-      reaction.emoji = REACTION_TYPES[reactionType]?.emoji || '👍';
-      reaction.customReaction = customReaction;
-      reaction.createdAt = new Date();
-    } else {
-      // Create new reaction
-      reaction = new Reaction({
-        targetType,
-        targetId,
-        user: req.user.id,
-        reactionType,
-        emoji: REACTION_TYPES[reactionType]?.emoji || '👍',
-        customReaction
-      });
+// List reaction packs (platform packs, plus a conversation's when conversationId is given)
+router.get('/packs', authMiddleware, async (req, res) => {
+  try {
+    const result = await reactionPackService.listPacks(req.user.id, req.query.conversationId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result.packs);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a reaction pack (platform admins, or group admins for their conversation)
+router.post('/packs', authMiddleware, async (req, res) => {
+  try {
+    const { name, scope, conversationId } = req.body;
+
+    const result = await reactionPackService.createPack({
+      user: req.user,
+      name,
+      scope,
+      conversationId
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    await reaction.save();
-    await reaction.populate('user', 'name username avatar');
-
-    // Create notification for content owner (if not own content)
-    if (target.user.toString() !== req.user.id) {
-      await Notification.create({
-        user: target.user,
-        type: 'reaction',
-        fromUser: req.user.id,
-        [targetType]: targetId,
-        message: `${req.user.name} reacted to your ${targetType}`
-      });
+    res.status(201).json(result.pack);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add a reaction to a pack: { key, label } plus an emoji or an 'image' upload
+router.post('/packs/:packId/reactions', authMiddleware, upload.single('image'), async (req, res) => {
+  try {
+    const { key, emoji, label } = req.body;
+
+    const result = await reactionPackService.addReaction({
+      user: req.user,
+      packId: req.params.packId,
+      key,
+      emoji,
+      label,
+      file: req.file
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    // Get updated reaction counts
-    const reactions = await Reaction.find({ targetType, targetId });
-    const reactionCounts = reactions.reduce((acc, r) => {
-      acc[r.reactionType] = (acc[r.reactionType] || 0) + 1;
-      return acc;
-    }, {});
+    res.status(201).json(result.pack);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove a reaction from a pack
+router.delete('/packs/:packId/reactions/:key', authMiddleware, async (req, res) => {
+  try {
+    const result = await reactionPackService.removeReaction({
+      user: req.user,
+      packId: req.params.packId,
+      key: req.params.key
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result.pack);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Retire a pack
+router.delete('/packs/:packId', authMiddleware, async (req, res) => {
+  try {
+    const result = await reactionPackService.deactivatePack({
+      user: req.user,
+      packId: req.params.packId
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Reaction pack removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add or change a reaction on content.
+// Post, comment and message like endpoints are thin wrappers over the same service.
+router.post('/:targetType/:targetId', authMiddleware, async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+    const { reactionType = 'like' } = req.body;
+
+    const result = await reactionService.react({
+      targetType,
+      targetId,
+      userId: req.user.id,
+      reactionType
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    const { reaction, summary } = result;
 
     res.json({
       reaction: {
         id: reaction._id,
         type: reaction.reactionType,
         emoji: reaction.emoji,
+        imageUrl: reaction.imageUrl,
+        pack: reaction.pack,
         user: reaction.user
       },
       counts: {
-        total: reactions.length,
-        byType: reactionCounts
-      }
+        total: summary.total,
+        byType: summary.counts
+      },
+      reactionSummary: summary
     });
 
   } catch (error) {
@@ -100,29 +198,23 @@ router.delete('/:targetType/:targetId', authMiddleware, async (req, res) => {
   try {
     const { targetType, targetId } = req.params;
 
-    const reaction = await Reaction.findOneAndDelete({
+    const result = await reactionService.removeReaction({
       targetType,
       targetId,
-      user: req.user.id
+      userId: req.user.id
     });
 
-    if (!reaction) {
-      return res.status(404).json({ message: 'Reaction not found' });
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
     }
 
-    // Get updated reaction counts
-    const reactions = await Reaction.find({ targetType, targetId });
-    const reactionCounts = reactions.reduce((acc, r) => {
-      acc[r.reactionType] = (acc[r.reactionType] || 0) + 1;
-      return acc;
-    }, {});
-
     res.json({
       message: 'Reaction removed',
       counts: {
-        total: reactions.length,
-        byType: reactionCounts
-      }
+        total: result.summary.total,
+        byType: result.summary.counts
+      },
+      reactionSummary: result.summary
     });
 
   } catch (error) {
@@ -130,53 +222,37 @@ router.delete('/:targetType/:targetId', authMiddleware, async (req, res) => {
   }
 });
 
-// Get reactions for content
+// Who reacted, grouped by reaction type. Each group pages on its own:
+// pass reactionType with that group's nextCursor to load more of it.
 router.get('/:targetType/:targetId', authMiddleware, async (req, res) => {
   try {
     const { targetType, targetId } = req.params;
-    const { page = 1, limit = 20, reactionType } = req.query;
-
-    const skip = (page - 1) * limit;
+    const { reactionType } = req.query;
+    const { cursor, limit, invalidCursor } = getPaginationParams(req.query, {
+      defaultLimit: 10,
+      maxLimit: 50
+    });
 
-    let query = { targetType, targetId };
-    if (reactionType) {
-      query.reactionType = reactionType;
+    if (invalidCursor) {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
 
-    const reactions = await Reaction.find(query)
-      .populate('user', 'name username avatar isVerified')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-
-    const total = await Reaction.countDocuments(query);
+    if (cursor && !reactionType) {
+      return res.status(400).json({ message: 'reactionType is required with a cursor' });
+    }
 
-    // Group by reaction type for summary
-    const allReactions = await Reaction.find({ targetType, targetId });
-    const reactionSummary = allReactions.reduce((acc, reaction) => {
-      acc[reaction.reactionType] = (acc[reaction.reactionType] || 0) + 1;
-      return acc;
-    }, {});
+    const target = await reactionService.findTarget(targetType, targetId, req.user.id);
+    if (!target) {
+      return res.status(404).json({ message: 'Target not found' });
+    }
 
-    // Current user's reaction
-    const userReaction = await Reaction.findOne({
-      targetType,
-      targetId,
-      user: req.user.id
+    const reactors = await reactionService.getReactors(targetType, target, req.user.id, {
+      reactionType,
+      cursor,
+      limit
     });
 
-    res.json({
-      reactions,
-      summary: reactionSummary,
-      totalReactions: allReactions.length,
-      userReaction,
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit)
-      }
-    });
+    res.json(reactors);
 
   } catch (error) {
     res.status(500).json({ message: 'Server error' });
@@ -188,9 +264,16 @@ router.get('/:targetType/:targetId/top-reactors', authMiddleware, async (req, re
   try {
     const { targetType, targetId } = req.params;
 
+    const target = await reactionService.findTarget(targetType, targetId, req.user.id);
+    if (!target) {
+      return res.status(404).json({ message: 'Target not found' });
+    }
+
+    const hiddenIds = await blockService.getBlockedIds(req.user.id);
+
     const topReactors = await Reaction.aggregate([
       {
-        $match: { targetType, targetId }
+        $match: { targetType, targetId: target._id, user: { $nin: hiddenIds } }
       },
       {
         $group: {
@@ -233,17 +316,4 @@ router.get('/:targetType/:targetId/top-reactors', authMiddleware, async (req, re
   }
 });
 
-// Helper function to validate target
-async function validateTarget(targetType, targetId) {
-  const models = {
-    post: Post,
-    comment: Comment,
-    story: mongoose.model('Story'),
-    message: mongoose.model('Message')
-  };
-
-  const Model = models[targetType];
-  if (!Model) return null;
-
-  return await Model.findById(targetId);
-}
\ No newline at end of file
+export default router;
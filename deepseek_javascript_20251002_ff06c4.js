@@ -0,0 +1,108 @@
+// routes/audienceLists.js
+import express from 'express';
+import { authMiddleware } from '../middleware/auth.js';
+import { AudienceService } from '../services/audienceService.js';
+
+const router = express.Router();
+const audienceService = new AudienceService();
+
+// Current user's audience lists (member counts only)
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    res.json({ lists: await audienceService.listLists(req.user.id) });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Create a list ({ name, userIds })
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.createList(req.user.id, req.body);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.status(201).json(result.list);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a list with its members
+router.get('/:listId', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.getList(req.user.id, req.params.listId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result.list);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Rename a list
+router.patch('/:listId', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.renameList(req.user.id, req.params.listId, req.body.name);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result.list);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Add members in bulk ({ userIds })
+router.post('/:listId/members', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.addMembers(req.user.id, req.params.listId, req.body.userIds);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result.list);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Remove members in bulk ({ userIds })
+router.delete('/:listId/members', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.removeMembers(req.user.id, req.params.listId, req.body.userIds);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json(result.list);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete a list; posts and stories shared with it become private
+router.delete('/:listId', authMiddleware, async (req, res) => {
+  try {
+    const result = await audienceService.deleteList(req.user.id, req.params.listId);
+
+    if (result.error) {
+      return res.status(result.status).json({ message: result.error });
+    }
+
+    res.json({ message: 'Audience list deleted' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+export default router;